@@ -0,0 +1,20 @@
+const AuditServices = require("../services/audit_services");
+const parseHelper = require("../helpers/response_helper");
+
+const index = async (req, res) => {
+    try {
+        const {user_id, entity, entity_id, from, to, cursor, limit} = req.query;
+        const logs = await AuditServices.index(user_id, entity, entity_id, from, to, cursor, limit);
+        if (!logs.length) throw new Error("There is no audit logs found");
+        return parseHelper(res, 200, {logs: logs, cursor: logs[logs.length - 1]._id}, "returned successfully");
+    } catch (err) {
+        if (err.message === "There is no audit logs found")
+            return parseHelper(res, 404, null, err.message);
+        console.log(err);
+        return parseHelper(res, 400, null, err);
+    }
+}
+
+module.exports = {
+    index
+};
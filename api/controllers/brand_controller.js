@@ -0,0 +1,72 @@
+const BrandServices = require("../services/brand_services");
+const parseHelper = require("../helpers/response_helper");
+const { actorFrom } = require("../helpers/audit_helpers");
+
+const create = async (req, res) => {
+    try {
+        const { name, description, files } = req.body;
+        const brand = await BrandServices.create(name, description, files && files[0], actorFrom(req));
+        return parseHelper(res, 201, brand, "created successfully");
+    } catch (err) {
+        console.log(err);
+        return parseHelper(res, 400, null, err);
+    }
+}
+
+const index = async (req, res) => {
+    try {
+        const brands = await BrandServices.index();
+        if (!brands.length) throw new Error("There is no brands yet");
+        return parseHelper(res, 200, brands, "returned successfully");
+    } catch (err) {
+        if (err.message === "There is no brands yet")
+            return parseHelper(res, 404, null, err.message);
+        console.log(err);
+        return parseHelper(res, 400, null, err);
+    }
+}
+
+const get = async (req, res) => {
+    try {
+        const brand = await BrandServices.get(req.params.id);
+        return parseHelper(res, 200, brand, "returned successfully");
+    } catch (err) {
+        if (err.message === "Brand not found")
+            return parseHelper(res, 404, null, err.message);
+        console.log(err);
+        return parseHelper(res, 400, null, err);
+    }
+}
+
+const remove = async (req, res) => {
+    try {
+        const brand = await BrandServices.remove(req.params.id, actorFrom(req));
+        return parseHelper(res, 204, brand, "deleted successfully");
+    } catch (err) {
+        if (err.message === "Brand not found")
+            return parseHelper(res, 404, null, err.message);
+        console.log(err);
+        return parseHelper(res, 400, null, err);
+    }
+}
+
+const update = async (req, res) => {
+    try {
+        const { name, description, files } = req.body;
+        const brand = await BrandServices.update(req.params.id, name, description, files && files[0], actorFrom(req));
+        return parseHelper(res, 200, brand, "updated successfully");
+    } catch (err) {
+        if (err.message === "Brand not found")
+            return parseHelper(res, 404, null, err.message);
+        console.log(err);
+        return parseHelper(res, 400, null, err);
+    }
+}
+
+module.exports = {
+    create,
+    index,
+    get,
+    remove,
+    update
+};
@@ -0,0 +1,59 @@
+const CampaignServices = require("../services/campaign_services");
+const parseHelper = require("../helpers/response_helper");
+const { actorFrom } = require("../helpers/audit_helpers");
+
+const index = async (req, res) => {
+    try {
+        const campaigns = await CampaignServices.index(req.query.status);
+        if (!campaigns.length) throw new Error("There is no campaigns found");
+        return parseHelper(res, 200, campaigns, "returned successfully");
+    } catch (err) {
+        if (err.message === "There is no campaigns found")
+            return parseHelper(res, 404, null, err.message);
+        console.log(err);
+        return parseHelper(res, 500, null, err);
+    }
+}
+
+const create = async (req, res) => {
+    try {
+        const { name, type, value, starts_at, ends_at, scope, target_ids } = req.body;
+        const campaign = await CampaignServices.create(name, type, value, starts_at, ends_at, scope, target_ids, actorFrom(req));
+        return parseHelper(res, 201, campaign, "created successfully");
+    } catch (err) {
+        console.log(err);
+        return parseHelper(res, 400, null, err);
+    }
+}
+
+const update = async (req, res) => {
+    try {
+        const { name, type, value, starts_at, ends_at, scope, target_ids } = req.body;
+        const campaign = await CampaignServices.update(req.params.id, name, type, value, starts_at, ends_at, scope, target_ids, actorFrom(req));
+        return parseHelper(res, 200, campaign, "updated successfully");
+    } catch (err) {
+        if (err.message === "Campaign not found")
+            return parseHelper(res, 404, null, err.message);
+        console.log(err);
+        return parseHelper(res, 400, null, err);
+    }
+}
+
+const remove = async (req, res) => {
+    try {
+        const campaign = await CampaignServices.remove(req.params.id, actorFrom(req));
+        return parseHelper(res, 204, campaign, "removed successfully");
+    } catch (err) {
+        if (err.message === "Campaign not found")
+            return parseHelper(res, 404, null, err.message);
+        console.log(err);
+        return parseHelper(res, 500, null, err);
+    }
+}
+
+module.exports = {
+    index,
+    create,
+    update,
+    remove
+};
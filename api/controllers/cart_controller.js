@@ -0,0 +1,130 @@
+const CartServices = require("../services/cart_services");
+const WhatsAppServices = require("../services/whatsapp_services");
+const parseHelper = require("../helpers/response_helper");
+
+const CART_ERRORS = [
+    "Invalid quantity",
+    "Variant is required",
+    "Not enough stock",
+    "Unknown currency",
+    "Cart is empty",
+    "Some items are not available",
+    "Invalid coupon code",
+    "Coupon is not valid at this time",
+    "Coupon usage limit reached",
+    "Order amount is below the coupon minimum",
+    "Coupon does not apply to these items",
+];
+const NOT_FOUND_ERRORS = [
+    "Cart not found",
+    "Cart line not found",
+    "Item not found",
+    "Variant not found",
+    "Delivery zone not found",
+    "No WhatsApp accounts configured",
+];
+
+const handleCartError = (res, err) => {
+    if (NOT_FOUND_ERRORS.includes(err.message))
+        return parseHelper(res, 404, null, err.message);
+    if (CART_ERRORS.includes(err.message))
+        return parseHelper(res, 400, null, err.message);
+    console.log(err);
+    return parseHelper(res, 500, null, err);
+}
+
+const tokenOf = (req) => req.headers['cart-token'];
+
+const create = async (req, res) => {
+    try {
+        const cart = await CartServices.create(req.query.currency);
+        return parseHelper(res, 201, cart, "created successfully");
+    } catch (err) {
+        return handleCartError(res, err);
+    }
+}
+
+const get = async (req, res) => {
+    try {
+        const cart = await CartServices.get(tokenOf(req), req.query.currency);
+        return parseHelper(res, 200, cart, "returned successfully");
+    } catch (err) {
+        return handleCartError(res, err);
+    }
+}
+
+const add_line = async (req, res) => {
+    try {
+        const { item_id, variant_id, quantity } = req.body;
+        const cart = await CartServices.add_line(tokenOf(req), item_id, variant_id, quantity, req.query.currency);
+        return parseHelper(res, 201, cart, "added successfully");
+    } catch (err) {
+        return handleCartError(res, err);
+    }
+}
+
+const update_line = async (req, res) => {
+    try {
+        const cart = await CartServices.update_line(tokenOf(req), req.params.line_id, req.body.quantity, req.query.currency);
+        return parseHelper(res, 200, cart, "updated successfully");
+    } catch (err) {
+        return handleCartError(res, err);
+    }
+}
+
+const remove_line = async (req, res) => {
+    try {
+        const cart = await CartServices.remove_line(tokenOf(req), req.params.line_id, req.query.currency);
+        return parseHelper(res, 200, cart, "removed successfully");
+    } catch (err) {
+        return handleCartError(res, err);
+    }
+}
+
+const set_delivery_zone = async (req, res) => {
+    try {
+        const cart = await CartServices.set_delivery_zone(tokenOf(req), req.body.delivery_zone_id, req.query.currency);
+        return parseHelper(res, 200, cart, "updated successfully");
+    } catch (err) {
+        return handleCartError(res, err);
+    }
+}
+
+const add_coupon = async (req, res) => {
+    try {
+        const cart = await CartServices.add_coupon(tokenOf(req), req.body.code, req.query.currency);
+        return parseHelper(res, 200, cart, "applied successfully");
+    } catch (err) {
+        return handleCartError(res, err);
+    }
+}
+
+const remove_coupon = async (req, res) => {
+    try {
+        const cart = await CartServices.remove_coupon(tokenOf(req), req.query.currency);
+        return parseHelper(res, 200, cart, "removed successfully");
+    } catch (err) {
+        return handleCartError(res, err);
+    }
+}
+
+const whatsapp = async (req, res) => {
+    try {
+        const handoff = await WhatsAppServices.cart_handoff(tokenOf(req));
+        return parseHelper(res, 200, handoff, "returned successfully");
+    } catch (err) {
+        return handleCartError(res, err);
+    }
+}
+
+module.exports = {
+    create,
+    get,
+    add_line,
+    update_line,
+    remove_line,
+    set_delivery_zone,
+    add_coupon,
+    remove_coupon,
+    whatsapp
+};
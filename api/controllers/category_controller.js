@@ -1,10 +1,12 @@
 const CategoryServices = require("../services/category_services");
+const AttributeServices = require("../services/attribute_services");
 const parseHelper = require("../helpers/response_helper");
+const {actorFrom} = require("../helpers/audit_helpers");
 
 const create = async (req, res) => {
     try {
         const {name, description,files} = req.body;
-        const category = await CategoryServices.create(name, description,files[0]);
+        const category = await CategoryServices.create(name, description,files[0], actorFrom(req));
         return parseHelper(res, 201, category, "created successfully");
     } catch (err) {
         return parseHelper(res, 400, null, err);
@@ -26,7 +28,7 @@ const index = async (req, res) => {
 
 const remove = async (req, res) => {
     try {
-        const category = await CategoryServices.remove(req.params.id);
+        const category = await CategoryServices.remove(req.params.id, actorFrom(req));
         return parseHelper(res, 204, category, "deleted successfully");
     } catch (err) {
         console.log(err);
@@ -38,7 +40,7 @@ const update = async (req, res) => {
     try {
         const {name,description,files} = req.body;
 
-        const category = await CategoryServices.update(req.params.id,name, description,files[0]);
+        const category = await CategoryServices.update(req.params.id,name, description,files[0], actorFrom(req));
         return parseHelper(res, 200, category, "updated successfully");
     } catch (err) {
         console.log(err);
@@ -56,10 +58,23 @@ const get = async (req, res) => {
     }
 }
 
+const set_attributes = async (req, res) => {
+    try {
+        const category = await AttributeServices.set_category_attributes(req.params.id, req.body.attributes, actorFrom(req));
+        return parseHelper(res, 200, category, "updated successfully");
+    } catch (err) {
+        console.log(err);
+        if (err.message === "Category not found")
+            return parseHelper(res, 404, null, err.message);
+        return parseHelper(res, 400, null, err.message);
+    }
+}
+
 module.exports = {
     create,
     index,
     remove,
     update,
-    get
+    get,
+    set_attributes
 };
\ No newline at end of file
@@ -0,0 +1,88 @@
+const CouponServices = require("../services/coupon_services");
+const parseHelper = require("../helpers/response_helper");
+const { actorFrom } = require("../helpers/audit_helpers");
+
+const index = async (req, res) => {
+    try {
+        const coupons = await CouponServices.index();
+        if (!coupons.length) throw new Error("There is no coupons yet");
+        return parseHelper(res, 200, coupons, "returned successfully");
+    } catch (err) {
+        if (err.message === "There is no coupons yet")
+            return parseHelper(res, 404, null, err.message);
+        console.log(err);
+        return parseHelper(res, 500, null, err);
+    }
+}
+
+const get = async (req, res) => {
+    try {
+        const coupon = await CouponServices.get(req.params.id);
+        return parseHelper(res, 200, coupon, "returned successfully");
+    } catch (err) {
+        if (err.message === "Coupon not found")
+            return parseHelper(res, 404, null, err.message);
+        console.log(err);
+        return parseHelper(res, 400, null, err);
+    }
+}
+
+const redemptions = async (req, res) => {
+    try {
+        const { cursor, limit } = req.query;
+        const redemptions = await CouponServices.redemptions(req.params.id, cursor, limit);
+        return parseHelper(res, 200, redemptions, "returned successfully");
+    } catch (err) {
+        if (err.message === "Coupon not found")
+            return parseHelper(res, 404, null, err.message);
+        console.log(err);
+        return parseHelper(res, 400, null, err);
+    }
+}
+
+const create = async (req, res) => {
+    try {
+        const { code, type, value, min_order_amount, scope, target_ids, starts_at, ends_at, usage_limit, per_phone_limit, is_active } = req.body;
+        const coupon = await CouponServices.create(code, type, value, min_order_amount, scope, target_ids, starts_at, ends_at, usage_limit, per_phone_limit, is_active, actorFrom(req));
+        return parseHelper(res, 201, coupon, "created successfully");
+    } catch (err) {
+        console.log(err);
+        return parseHelper(res, 400, null, err);
+    }
+}
+
+const update = async (req, res) => {
+    try {
+        const { type, value, min_order_amount, scope, target_ids, starts_at, ends_at, usage_limit, per_phone_limit, is_active } = req.body;
+        const coupon = await CouponServices.update(req.params.id, type, value, min_order_amount, scope, target_ids, starts_at, ends_at, usage_limit, per_phone_limit, is_active, actorFrom(req));
+        return parseHelper(res, 200, coupon, "updated successfully");
+    } catch (err) {
+        if (err.message === "Coupon not found")
+            return parseHelper(res, 404, null, err.message);
+        console.log(err);
+        return parseHelper(res, 400, null, err);
+    }
+}
+
+const remove = async (req, res) => {
+    try {
+        const coupon = await CouponServices.remove(req.params.id, actorFrom(req));
+        return parseHelper(res, 204, coupon, "removed successfully");
+    } catch (err) {
+        if (err.message === "Coupon not found")
+            return parseHelper(res, 404, null, err.message);
+        if (err.message === "Coupon has been used, deactivate it instead")
+            return parseHelper(res, 400, null, err.message);
+        console.log(err);
+        return parseHelper(res, 500, null, err);
+    }
+}
+
+module.exports = {
+    index,
+    get,
+    redemptions,
+    create,
+    update,
+    remove
+};
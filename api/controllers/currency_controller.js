@@ -0,0 +1,56 @@
+const CurrencyServices = require("../services/currency_services");
+const parseHelper = require("../helpers/response_helper");
+const { actorFrom } = require("../helpers/audit_helpers");
+
+const index = async (req, res) => {
+    try {
+        const currencies = await CurrencyServices.index();
+        return parseHelper(res, 200, currencies, "returned successfully");
+    } catch (err) {
+        console.log(err);
+        return parseHelper(res, 500, null, err);
+    }
+}
+
+const create = async (req, res) => {
+    try {
+        const { code, symbol, rate, precision } = req.body;
+        const currency = await CurrencyServices.create(code, symbol, rate, precision, actorFrom(req));
+        return parseHelper(res, 201, currency, "created successfully");
+    } catch (err) {
+        console.log(err);
+        return parseHelper(res, 400, null, err);
+    }
+}
+
+const update = async (req, res) => {
+    try {
+        const { symbol, rate, precision } = req.body;
+        const currency = await CurrencyServices.update(req.params.code, symbol, rate, precision, actorFrom(req));
+        return parseHelper(res, 200, currency, "updated successfully");
+    } catch (err) {
+        if (err.message === "Currency not found")
+            return parseHelper(res, 404, null, err.message);
+        console.log(err);
+        return parseHelper(res, 400, null, err);
+    }
+}
+
+const remove = async (req, res) => {
+    try {
+        const currency = await CurrencyServices.remove(req.params.code, actorFrom(req));
+        return parseHelper(res, 204, currency, "removed successfully");
+    } catch (err) {
+        if (err.message === "Currency not found")
+            return parseHelper(res, 404, null, err.message);
+        console.log(err);
+        return parseHelper(res, 500, null, err);
+    }
+}
+
+module.exports = {
+    index,
+    create,
+    update,
+    remove
+};
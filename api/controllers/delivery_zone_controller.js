@@ -0,0 +1,72 @@
+const DeliveryZoneServices = require("../services/delivery_zone_services");
+const parseHelper = require("../helpers/response_helper");
+const { actorFrom } = require("../helpers/audit_helpers");
+
+const index = async (req, res) => {
+    try {
+        const zones = await DeliveryZoneServices.index(req.query.include_inactive === 'true');
+        if (!zones.length) throw new Error("There is no delivery zones yet");
+        return parseHelper(res, 200, zones, "returned successfully");
+    } catch (err) {
+        if (err.message === "There is no delivery zones yet")
+            return parseHelper(res, 404, null, err.message);
+        console.log(err);
+        return parseHelper(res, 500, null, err);
+    }
+}
+
+const get = async (req, res) => {
+    try {
+        const zone = await DeliveryZoneServices.get(req.params.id);
+        return parseHelper(res, 200, zone, "returned successfully");
+    } catch (err) {
+        if (err.message === "Delivery zone not found")
+            return parseHelper(res, 404, null, err.message);
+        console.log(err);
+        return parseHelper(res, 400, null, err);
+    }
+}
+
+const create = async (req, res) => {
+    try {
+        const { name, ar_name, fee, free_shipping_threshold, estimated_time, is_active } = req.body;
+        const zone = await DeliveryZoneServices.create(name, ar_name, fee, free_shipping_threshold, estimated_time, is_active, actorFrom(req));
+        return parseHelper(res, 201, zone, "created successfully");
+    } catch (err) {
+        console.log(err);
+        return parseHelper(res, 400, null, err);
+    }
+}
+
+const update = async (req, res) => {
+    try {
+        const { name, ar_name, fee, free_shipping_threshold, estimated_time, is_active } = req.body;
+        const zone = await DeliveryZoneServices.update(req.params.id, name, ar_name, fee, free_shipping_threshold, estimated_time, is_active, actorFrom(req));
+        return parseHelper(res, 200, zone, "updated successfully");
+    } catch (err) {
+        if (err.message === "Delivery zone not found")
+            return parseHelper(res, 404, null, err.message);
+        console.log(err);
+        return parseHelper(res, 400, null, err);
+    }
+}
+
+const remove = async (req, res) => {
+    try {
+        const zone = await DeliveryZoneServices.remove(req.params.id, actorFrom(req));
+        return parseHelper(res, 204, zone, "removed successfully");
+    } catch (err) {
+        if (err.message === "Delivery zone not found")
+            return parseHelper(res, 404, null, err.message);
+        console.log(err);
+        return parseHelper(res, 500, null, err);
+    }
+}
+
+module.exports = {
+    index,
+    get,
+    create,
+    update,
+    remove
+};
@@ -1,10 +1,11 @@
 const faqServices = require("../services/faq_services");
 const parseHelper = require("../helpers/response_helper");
+const { actorFrom } = require("../helpers/audit_helpers");
 
 const create = async (req, res) => {
     try {
         const { question, answer, files } = req.body;
-        const faq = await faqServices.create(question, answer, files);
+        const faq = await faqServices.create(question, answer, files, actorFrom(req));
         return parseHelper(res, 201, faq, "created successfully");
     } catch (err) {
         console.log(err)
@@ -44,7 +45,7 @@ const update = async (req, res) => {
         const { question, answer } = req.body;
         const { faq_id } = req.params;
 
-        const faq = await faqServices.update(faq_id, question, answer);
+        const faq = await faqServices.update(faq_id, question, answer, actorFrom(req));
         if (!faq) throw new Error("faq does not exist");
         return parseHelper(res, 200, faq, "updated successfully");
 
@@ -61,7 +62,7 @@ const add_faq_photo = async (req, res) => {
     try {
         const { files } = req.body;
         const { faq_id } = req.params
-        const faq = await faqServices.add_faq_photo(faq_id, files);
+        const faq = await faqServices.add_faq_photo(faq_id, files, actorFrom(req));
         return parseHelper(res, 201, faq, "added successfully");
     } catch (err) {
         console.log(err);
@@ -73,7 +74,7 @@ const edit_faq_photo = async (req, res) => {
     try {
         const { files } = req.body;
         const { faq_id, index } = req.params
-        const faq = await faqServices.edit_faq_photo(faq_id, index, files[0]);
+        const faq = await faqServices.edit_faq_photo(faq_id, index, files[0], actorFrom(req));
         return parseHelper(res, 200, faq, "updated successfully");
     } catch (err) {
         console.log(err);
@@ -85,7 +86,7 @@ const edit_faq_photo = async (req, res) => {
 const remove_faq_photo = async (req, res) => {
     try {
         const { faq_id, index } = req.params
-        const faq = await faqServices.remove_faq_photo(faq_id, index);
+        const faq = await faqServices.remove_faq_photo(faq_id, index, actorFrom(req));
         return parseHelper(res, 204, faq, "deleted successfully");
     } catch (err) {
         console.log(err);
@@ -99,7 +100,7 @@ const remove_faq_photo = async (req, res) => {
 const remove = async (req, res) => {
     try {
         const { faq_id } = req.params;
-        const faq = await faqServices.remove(faq_id);
+        const faq = await faqServices.remove(faq_id, actorFrom(req));
         if (!faq) throw new Error("faq does not exist");
         return parseHelper(res, 204, faq, "removed successfully");
 
@@ -1,12 +1,19 @@
 const ItemServices = require("../services/item_services");
+const VariantServices = require("../services/variant_services");
+const StockServices = require("../services/stock_services");
+const AttributeServices = require("../services/attribute_services");
 const parseHelper = require("../helpers/response_helper");
+const { actorFrom } = require("../helpers/audit_helpers");
+const { attributeFilter } = require("../helpers/attribute_helpers");
 
 const create = async (req, res) => {
     try {
-        const { name, ar_name, description, price, discount, sub_category_id, main_category_id, files, is_hidden } = req.body;
-        const item = await ItemServices.create(name, ar_name, description, price, discount, files, sub_category_id, main_category_id, is_hidden);
+        const { name, ar_name, description, price, discount, sub_category_id, main_category_id, files, is_hidden, low_stock_threshold, fixed_local_price, discount_type, brand_id } = req.body;
+        const item = await ItemServices.create(name, ar_name, description, price, discount, files, sub_category_id, main_category_id, is_hidden, low_stock_threshold, fixed_local_price, discount_type, brand_id, actorFrom(req));
         return parseHelper(res, 201, item, "created successfully");
     } catch (err) {
+        if (err.message === "Brand not found")
+            return parseHelper(res, 404, null, err.message);
         console.log(err);
         return parseHelper(res, 400, null, err);
     }
@@ -14,10 +21,12 @@ const create = async (req, res) => {
 
 const update = async (req, res) => {
     try {
-        const { name, ar_name, description, price, discount, sub_category_id, main_category_id, is_hidden } = req.body;
-        const item = await ItemServices.update(req.params.id, name, ar_name, description, price, discount, sub_category_id, main_category_id, is_hidden);
+        const { name, ar_name, description, price, discount, sub_category_id, main_category_id, is_hidden, low_stock_threshold, fixed_local_price, discount_type, brand_id } = req.body;
+        const item = await ItemServices.update(req.params.id, name, ar_name, description, price, discount, sub_category_id, main_category_id, is_hidden, low_stock_threshold, fixed_local_price, discount_type, brand_id, actorFrom(req));
         return parseHelper(res, 200, item, "updated successfully");
     } catch (err) {
+        if (err.message === "Brand not found")
+            return parseHelper(res, 404, null, err.message);
         console.log(err);
         return parseHelper(res, 400, null, err);
     }
@@ -25,13 +34,44 @@ const update = async (req, res) => {
 
 const index = async (req, res) => {
     try {
-        const { main_category_id, sub_category_id, max_price, min_price, cursor, limit, discount, include_hidden } = req.query;
-        const items = await ItemServices.index(main_category_id, sub_category_id, max_price, min_price, discount, cursor, limit, include_hidden === 'true');
-        if (!items.length) throw new Error("There is no items found");
-        return parseHelper(res, 200, { items: items, cursor: items[items.length - 1]._id }, "returned successfully");
+        const { main_category_id, sub_category_id, brand_id, max_price, min_price, cursor, limit, discount, include_hidden, sort, currency } = req.query;
+        const page = await ItemServices.index(main_category_id, sub_category_id, max_price, min_price, discount, cursor, limit, include_hidden === 'true', sort, currency, brand_id, attributeFilter(req.query));
+        if (!page.items.length) throw new Error("There is no items found");
+        return parseHelper(res, 200, { items: page.items, cursor: page.cursor, facets: { brands: page.brands } }, "returned successfully");
+    } catch (err) {
+        if (err.message === "There is no items found")
+            return parseHelper(res, 404, null, err.message);
+        if (["Invalid sort option", "Invalid cursor", "Unknown currency", "Invalid attribute filter"].includes(err.message))
+            return parseHelper(res, 400, null, err.message);
+        console.log(err);
+        return parseHelper(res, 500, null, err);
+    }
+}
+
+const facets = async (req, res) => {
+    try {
+        const { main_category_id, sub_category_id, brand_id, max_price, min_price, discount, include_hidden, currency } = req.query;
+        const counts = await ItemServices.facets(main_category_id, sub_category_id, max_price, min_price, discount, include_hidden === 'true', currency, brand_id, attributeFilter(req.query));
+        return parseHelper(res, 200, counts, "returned successfully");
+    } catch (err) {
+        if (["Unknown currency", "Invalid attribute filter"].includes(err.message))
+            return parseHelper(res, 400, null, err.message);
+        console.log(err);
+        return parseHelper(res, 500, null, err);
+    }
+}
+
+const search = async (req, res) => {
+    try {
+        const { q, main_category_id, sub_category_id, brand_id, max_price, min_price, discount, limit, include_hidden, currency, cursor } = req.query;
+        const page = await ItemServices.search(q, main_category_id, sub_category_id, max_price, min_price, discount, limit, include_hidden === 'true', currency, brand_id, attributeFilter(req.query), cursor);
+        if (!page.items.length) throw new Error("There is no items found");
+        return parseHelper(res, 200, { items: page.items, cursor: page.cursor }, "returned successfully");
     } catch (err) {
         if (err.message === "There is no items found")
             return parseHelper(res, 404, null, err.message);
+        if (["Search query is required", "Invalid cursor", "Unknown currency", "Invalid attribute filter"].includes(err.message))
+            return parseHelper(res, 400, null, err.message);
         console.log(err);
         return parseHelper(res, 500, null, err);
     }
@@ -39,7 +79,7 @@ const index = async (req, res) => {
 
 const remove = async (req, res) => {
     try {
-        const items = await ItemServices.remove(req.params.id);
+        const items = await ItemServices.remove(req.params.id, actorFrom(req));
         return parseHelper(res, 204, items, "deleted successfully");
     } catch (err) {
         console.log(err);
@@ -51,13 +91,15 @@ const remove = async (req, res) => {
 const get = async (req, res) => {
     try {
         const id = req.params.id;
-        const item = await ItemServices.getById(id);
+        const item = await ItemServices.getById(id, req.query.currency);
         if (!item) throw new Error("item not found");
         return parseHelper(res, 200, item, "returned successfully");
     } catch (err) {
         console.log(err);
         if (err.message === "item not found")
             return parseHelper(res, 404, null, err.message);
+        if (err.message === "Unknown currency")
+            return parseHelper(res, 400, null, err.message);
         return parseHelper(res, 400, null, err);
     }
 }
@@ -69,7 +111,7 @@ const add_item_photo = async (req, res) => {
     try {
         const { files } = req.body;
         const { item_id } = req.params
-        const item = await ItemServices.add_item_photo(item_id, files);
+        const item = await ItemServices.add_item_photo(item_id, files, actorFrom(req));
         return parseHelper(res, 201, item, "added successfully");
     } catch (err) {
         console.log(err);
@@ -81,7 +123,7 @@ const edit_item_photo = async (req, res) => {
     try {
         const { files } = req.body;
         const { item_id, index } = req.params
-        const item = await ItemServices.edit_item_photo(item_id, index, files[0]);
+        const item = await ItemServices.edit_item_photo(item_id, index, files[0], actorFrom(req));
         return parseHelper(res, 200, item, "updated successfully");
     } catch (err) {
         console.log(err);
@@ -93,7 +135,7 @@ const edit_item_photo = async (req, res) => {
 const remove_item_photo = async (req, res) => {
     try {
         const { item_id, index } = req.params
-        const item = await ItemServices.remove_item_photo(item_id, index);
+        const item = await ItemServices.remove_item_photo(item_id, index, actorFrom(req));
         return parseHelper(res, 204, item, "deleted successfully");
     } catch (err) {
         console.log(err);
@@ -104,13 +146,152 @@ const remove_item_photo = async (req, res) => {
 }
 
 
+const VARIANT_ERRORS = [
+    "Invalid variant options",
+    "Variant options do not match the item options",
+    "A variant with these options already exists",
+    "SKU already exists",
+];
+
+const handleVariantError = (res, err) => {
+    console.log(err);
+    if (err.message === "Item not found" || err.message === "Variant not found")
+        return parseHelper(res, 404, null, err.message);
+    if (VARIANT_ERRORS.includes(err.message) || err.message.startsWith("Invalid value for option"))
+        return parseHelper(res, 400, null, err.message);
+    // price and discount bounds checked by the item model
+    if (err.name === "ValidationError")
+        return parseHelper(res, 400, null, err.message);
+    return parseHelper(res, 500, null, err);
+}
+
+const set_options = async (req, res) => {
+    try {
+        const { options } = req.body;
+        const item = await VariantServices.set_options(req.params.item_id, options, actorFrom(req));
+        return parseHelper(res, 200, item, "updated successfully");
+    } catch (err) {
+        return handleVariantError(res, err);
+    }
+}
+
+const add_variant = async (req, res) => {
+    try {
+        const { options, price, discount, discount_type, sku, is_available, files } = req.body;
+        const item = await VariantServices.add_variant(req.params.item_id, options, price, discount, sku, is_available, files, discount_type, actorFrom(req));
+        return parseHelper(res, 201, item, "added successfully");
+    } catch (err) {
+        return handleVariantError(res, err);
+    }
+}
+
+const update_variant = async (req, res) => {
+    try {
+        const { options, price, discount, discount_type, sku, is_available, files } = req.body;
+        const { item_id, variant_id } = req.params;
+        const item = await VariantServices.update_variant(item_id, variant_id, options, price, discount, sku, is_available, files, discount_type, actorFrom(req));
+        return parseHelper(res, 200, item, "updated successfully");
+    } catch (err) {
+        return handleVariantError(res, err);
+    }
+}
+
+const remove_variant = async (req, res) => {
+    try {
+        const { item_id, variant_id } = req.params;
+        const item = await VariantServices.remove_variant(item_id, variant_id, actorFrom(req));
+        return parseHelper(res, 204, item, "deleted successfully");
+    } catch (err) {
+        return handleVariantError(res, err);
+    }
+}
+
+const set_attributes = async (req, res) => {
+    try {
+        const item = await AttributeServices.set_item_attributes(req.params.item_id, req.body.attributes, actorFrom(req));
+        return parseHelper(res, 200, item, "updated successfully");
+    } catch (err) {
+        console.log(err);
+        if (err.message === "Item not found")
+            return parseHelper(res, 404, null, err.message);
+        return parseHelper(res, 400, null, err.message);
+    }
+}
+
+const price_at = async (req, res) => {
+    try {
+        const price = await ItemServices.priceAt(req.params.item_id, req.query.date);
+        return parseHelper(res, 200, price, "returned successfully");
+    } catch (err) {
+        if (err.message === "Item not found")
+            return parseHelper(res, 404, null, err.message);
+        if (err.message === "Invalid date" || err.message === "Item did not exist at that date")
+            return parseHelper(res, 400, null, err.message);
+        console.log(err);
+        return parseHelper(res, 500, null, err);
+    }
+}
+
+const record_stock_movement = async (req, res) => {
+    try {
+        const { variant_id, type, quantity, reason } = req.body;
+        const movement = await StockServices.record_movement(req.params.item_id, variant_id, type, quantity, reason, actorFrom(req));
+        return parseHelper(res, 201, movement, "recorded successfully");
+    } catch (err) {
+        console.log(err);
+        if (err.message === "Item not found" || err.message === "Variant not found")
+            return parseHelper(res, 404, null, err.message);
+        if (["Invalid movement type", "Invalid quantity", "Not enough stock", "Variant is required"].includes(err.message))
+            return parseHelper(res, 400, null, err.message);
+        return parseHelper(res, 500, null, err);
+    }
+}
+
+const stock_movements = async (req, res) => {
+    try {
+        const { variant_id, cursor, limit } = req.query;
+        const movements = await StockServices.movements(req.params.item_id, variant_id, cursor, limit);
+        if (!movements.length) throw new Error("There is no stock movements found");
+        return parseHelper(res, 200, { movements: movements, cursor: movements[movements.length - 1]._id }, "returned successfully");
+    } catch (err) {
+        if (err.message === "There is no stock movements found")
+            return parseHelper(res, 404, null, err.message);
+        console.log(err);
+        return parseHelper(res, 500, null, err);
+    }
+}
+
+const low_stock = async (req, res) => {
+    try {
+        const items = await StockServices.low_stock();
+        if (!items.length) throw new Error("There is no items found");
+        return parseHelper(res, 200, items, "returned successfully");
+    } catch (err) {
+        if (err.message === "There is no items found")
+            return parseHelper(res, 404, null, err.message);
+        console.log(err);
+        return parseHelper(res, 500, null, err);
+    }
+}
+
 module.exports = {
     create,
     index,
+    facets,
+    search,
     remove,
     update,
     get,
     add_item_photo,
     edit_item_photo,
-    remove_item_photo
+    remove_item_photo,
+    set_options,
+    add_variant,
+    update_variant,
+    remove_variant,
+    set_attributes,
+    price_at,
+    record_stock_movement,
+    stock_movements,
+    low_stock
 };
\ No newline at end of file
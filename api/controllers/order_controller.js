@@ -0,0 +1,102 @@
+const OrderServices = require("../services/order_services");
+const WhatsAppServices = require("../services/whatsapp_services");
+const parseHelper = require("../helpers/response_helper");
+const { actorFrom } = require("../helpers/audit_helpers");
+
+const ORDER_ERRORS = [
+    "Customer name, phone and address are required",
+    "Invalid phone number",
+    "Delivery zone is required",
+    "Invalid coupon code",
+    "Coupon is not valid at this time",
+    "Coupon usage limit reached",
+    "Order amount is below the coupon minimum",
+    "Coupon does not apply to these items",
+    "Coupon already used with this phone number",
+    "Invalid order lines",
+    "Invalid quantity",
+    "Cart is empty",
+    "Some items are not available",
+    "Invalid order status",
+    "Invalid status transition",
+    "Not enough stock",
+];
+
+const place = async (req, res) => {
+    try {
+        const { lines, customer_name, customer_phone, customer_address, note, delivery_zone_id, coupon_code } = req.body;
+        const order = await OrderServices.place(req.headers['cart-token'], lines, customer_name, customer_phone, customer_address, note, delivery_zone_id, coupon_code);
+        return parseHelper(res, 201, order, "created successfully");
+    } catch (err) {
+        if (err.message === "Cart not found" || err.message === "Delivery zone not found")
+            return parseHelper(res, 404, null, err.message);
+        if (ORDER_ERRORS.includes(err.message))
+            return parseHelper(res, 400, null, err.message);
+        console.log(err);
+        return parseHelper(res, 500, null, err);
+    }
+}
+
+const index = async (req, res) => {
+    try {
+        const { status, phone, reference, from, to, cursor, limit } = req.query;
+        const orders = await OrderServices.index(status, phone, reference, from, to, cursor, limit);
+        if (!orders.length) throw new Error("There is no orders found");
+        return parseHelper(res, 200, orders, "returned successfully");
+    } catch (err) {
+        if (err.message === "There is no orders found")
+            return parseHelper(res, 404, null, err.message);
+        if (err.message === "Invalid order status")
+            return parseHelper(res, 400, null, err.message);
+        console.log(err);
+        return parseHelper(res, 500, null, err);
+    }
+}
+
+const getById = async (req, res) => {
+    try {
+        const order = await OrderServices.getById(req.params.id);
+        return parseHelper(res, 200, order, "returned successfully");
+    } catch (err) {
+        if (err.message === "Order not found")
+            return parseHelper(res, 404, null, err.message);
+        console.log(err);
+        return parseHelper(res, 500, null, err);
+    }
+}
+
+const transition = async (req, res) => {
+    try {
+        const { status, note } = req.body;
+        const order = await OrderServices.transition(req.params.id, status, note, actorFrom(req));
+        return parseHelper(res, 200, order, "updated successfully");
+    } catch (err) {
+        if (err.message === "Order not found")
+            return parseHelper(res, 404, null, err.message);
+        if (ORDER_ERRORS.includes(err.message))
+            return parseHelper(res, 400, null, err.message);
+        console.log(err);
+        return parseHelper(res, 500, null, err);
+    }
+}
+
+const whatsapp = async (req, res) => {
+    try {
+        const { reference, phone } = req.query;
+        const handoff = await WhatsAppServices.order_handoff(reference, phone);
+        return parseHelper(res, 200, handoff, "returned successfully");
+    } catch (err) {
+        if (err.message === "Order not found" || err.message === "No WhatsApp accounts configured")
+            return parseHelper(res, 404, null, err.message);
+        console.log(err);
+        return parseHelper(res, 500, null, err);
+    }
+}
+
+module.exports = {
+    place,
+    index,
+    getById,
+    transition,
+    whatsapp
+};
@@ -1,5 +1,6 @@
 const settingsServices = require("../services/settings_services");
 const parseHelper = require("../helpers/response_helper");
+const { actorFrom } = require("../helpers/audit_helpers");
 
 const create = async (req, res) => {
     try {
@@ -27,7 +28,31 @@ const update_dollar_price = async (req, res) => {
     try {
 
         const { dollar_price } = req.body;
-        const settings = await settingsServices.update_dollar_price(dollar_price);
+        const settings = await settingsServices.update_dollar_price(dollar_price, actorFrom(req));
+        return parseHelper(res, 200, settings, "updated successfully");
+    } catch (err) {
+        console.log(err);
+        return parseHelper(res, 400, null, err);
+    }
+}
+
+const dollar_history = async (req, res) => {
+    try {
+        const { from, to } = req.query;
+        const history = await settingsServices.dollar_history(from, to);
+        return parseHelper(res, 200, history, "returned successfully");
+    } catch (err) {
+        if (["Invalid date", "Invalid date range", "Date range is too long"].includes(err.message))
+            return parseHelper(res, 400, null, err.message);
+        console.log(err);
+        return parseHelper(res, 500, null, err);
+    }
+}
+
+const update_price_rounding = async (req, res) => {
+    try {
+        const { step, mode } = req.body;
+        const settings = await settingsServices.update_price_rounding(step, mode, actorFrom(req));
         return parseHelper(res, 200, settings, "updated successfully");
     } catch (err) {
         console.log(err);
@@ -38,7 +63,7 @@ const update_dollar_price = async (req, res) => {
 const update_about_us = async (req, res) => {
     try {
         const { about_us } = req.body;
-        const settings = await settingsServices.update_about_us(about_us);
+        const settings = await settingsServices.update_about_us(about_us, actorFrom(req));
         return parseHelper(res, 200, settings, "updated successfully");
     } catch (err) {
         console.log(err);
@@ -49,7 +74,7 @@ const update_about_us = async (req, res) => {
 const add_hero_photo = async (req, res) => {
     try {
         const { files } = req.body;
-        const settings = await settingsServices.add_photo_to_hero(files);
+        const settings = await settingsServices.add_photo_to_hero(files, actorFrom(req));
         return parseHelper(res, 201, settings, "added successfully");
     } catch (err) {
         console.log(err);
@@ -61,7 +86,7 @@ const edit_hero_photos = async (req, res) => {
     try {
         const { files } = req.body;
         const {index} = req.params;
-        const settings = await settingsServices.edit_hero_photos(files[0], index);
+        const settings = await settingsServices.edit_hero_photos(files[0], index, actorFrom(req));
         return parseHelper(res, 200, settings, "updated successfully");
     } catch (err) {
         console.log(err);
@@ -71,7 +96,7 @@ const edit_hero_photos = async (req, res) => {
 
 const remove_hero_photo = async (req, res) => {
     try {
-        const settings = await settingsServices.remove_hero_photo(req.params.index);
+        const settings = await settingsServices.remove_hero_photo(req.params.index, actorFrom(req));
         return parseHelper(res, 204, settings, "deleted successfully");
     } catch (err) {
         console.log(err);
@@ -84,7 +109,7 @@ const remove_hero_photo = async (req, res) => {
 const update_facebook = async (req, res) => {
     try {
         const { facebook } = req.body;
-        const settings = await settingsServices.update_facebook(facebook);
+        const settings = await settingsServices.update_facebook(facebook, actorFrom(req));
         return parseHelper(res, 200, settings, "updated successfully");
     } catch (err) {
         console.log(err);
@@ -94,7 +119,7 @@ const update_facebook = async (req, res) => {
 const update_whatsapp_channel = async (req, res) => {
     try {
         const { whatsapp_channel } = req.body;
-        const settings = await settingsServices.update_whatsapp_channel(whatsapp_channel);
+        const settings = await settingsServices.update_whatsapp_channel(whatsapp_channel, actorFrom(req));
         return parseHelper(res, 200, settings, "updated successfully");
     } catch (err) {
         console.log(err);
@@ -105,7 +130,7 @@ const update_whatsapp_channel = async (req, res) => {
 const update_instagram = async (req, res) => {
     try {
         const { instagram } = req.body;
-        const settings = await settingsServices.update_instagram(instagram);
+        const settings = await settingsServices.update_instagram(instagram, actorFrom(req));
         return parseHelper(res, 200, settings, "updated successfully");
     } catch (err) {
         console.log(err);
@@ -116,7 +141,7 @@ const update_instagram = async (req, res) => {
 const update_youtube = async (req, res) => {
     try {
         const { youtube } = req.body;
-        const settings = await settingsServices.update_youtube(youtube);
+        const settings = await settingsServices.update_youtube(youtube, actorFrom(req));
         return parseHelper(res, 200, settings, "updated successfully");
     } catch (err) {
         console.log(err);
@@ -128,7 +153,7 @@ const update_youtube = async (req, res) => {
 const update_telegram = async (req, res) => {
     try {
         const { telegram } = req.body;
-        const settings = await settingsServices.update_telegram(telegram);
+        const settings = await settingsServices.update_telegram(telegram, actorFrom(req));
         return parseHelper(res, 200, settings, "updated successfully");
     } catch (err) {
         console.log(err);
@@ -139,7 +164,7 @@ const update_telegram = async (req, res) => {
 const add_whatsapp_account = async (req, res) => {
     try {
         const { link, phone_number, name } = req.body;
-        const settings = await settingsServices.add_whatsapp_account(link, phone_number, name);
+        const settings = await settingsServices.add_whatsapp_account(link, phone_number, name, actorFrom(req));
         return parseHelper(res, 201, settings, "added successfully");
     } catch (err) {
         console.log(err);
@@ -149,7 +174,7 @@ const add_whatsapp_account = async (req, res) => {
 
 const remove_whatsapp_account = async (req, res) => {
     try {
-        const settings = await settingsServices.remove_whatsapp_account(req.params.index);
+        const settings = await settingsServices.remove_whatsapp_account(req.params.index, actorFrom(req));
         return parseHelper(res, 204, settings, "deleted successfully");
     } catch (err) {
         console.log(err);
@@ -164,6 +189,8 @@ module.exports = {
     create,
     get,
     update_dollar_price,
+    update_price_rounding,
+    dollar_history,
     add_hero_photo,
     remove_hero_photo,
     update_about_us,
@@ -1,10 +1,12 @@
 const SubCategoryServices = require("../services/sub_category_services");
+const AttributeServices = require("../services/attribute_services");
 const parseHelper = require("../helpers/response_helper");
+const {actorFrom} = require("../helpers/audit_helpers");
 
 const create = async (req, res) => {
     try {
         const {name, description, main_category_id} = req.body;
-        const category = await SubCategoryServices.create(name, description, main_category_id);
+        const category = await SubCategoryServices.create(name, description, main_category_id, actorFrom(req));
         return parseHelper(res, 201, category, "created successfully");
     } catch (err) {
         return parseHelper(res, 400, null, err);
@@ -26,7 +28,7 @@ const index = async (req, res) => {
 
 const remove = async (req, res) => {
     try {
-        const subCategory = await SubCategoryServices.remove(req.params.id);
+        const subCategory = await SubCategoryServices.remove(req.params.id, actorFrom(req));
         return parseHelper(res, 204, subCategory, "deleted successfully");
     } catch (err) {
         console.log(err);
@@ -41,7 +43,7 @@ const update = async (req, res) => {
         const description = req.body.description;
         const main_category_id = req.body.main_category_id;
 
-        const subCategory = await SubCategoryServices.update(req.params.id, name, description, main_category_id);
+        const subCategory = await SubCategoryServices.update(req.params.id, name, description, main_category_id, actorFrom(req));
         return parseHelper(res, 200, subCategory, "updated successfully");
     } catch (err) {
         console.log(err);
@@ -49,10 +51,36 @@ const update = async (req, res) => {
     }
 }
 
+const set_attributes = async (req, res) => {
+    try {
+        const subCategory = await AttributeServices.set_sub_category_attributes(req.params.id, req.body.attributes, actorFrom(req));
+        return parseHelper(res, 200, subCategory, "updated successfully");
+    } catch (err) {
+        console.log(err);
+        if (err.message === "SubCategory not found")
+            return parseHelper(res, 404, null, err.message);
+        return parseHelper(res, 400, null, err.message);
+    }
+}
+
+const attributes = async (req, res) => {
+    try {
+        const definitions = await AttributeServices.sub_category_definitions(req.params.id);
+        return parseHelper(res, 200, definitions, "returned successfully");
+    } catch (err) {
+        if (err.message === "SubCategory not found")
+            return parseHelper(res, 404, null, err.message);
+        console.log(err);
+        return parseHelper(res, 400, null, err);
+    }
+}
+
 
 module.exports = {
     create,
     index,
     remove,
-    update
+    update,
+    set_attributes,
+    attributes
 };
\ No newline at end of file
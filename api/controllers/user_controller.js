@@ -1,6 +1,8 @@
 const UserServices = require("../services/user_services");
+const TwoFactorServices = require("../services/two_factor_services");
 
 const parseHelper = require("../helpers/response_helper");
+const {actorFrom} = require("../helpers/audit_helpers");
 const req = require("express/lib/request");
 
 
@@ -19,11 +21,15 @@ const index = async (req, res) => {
 const login = async (req, res) => {
     try {
         const {user_name, password} = req.body;
-        const user = await UserServices.login(user_name, password);
+        const user = await UserServices.login(user_name, password, req.ip);
+        if (user.two_factor_required)
+            return parseHelper(res, 200, user, "Two-factor code required");
         return parseHelper(res, 200, user, "Logged In successfully");
     } catch (err) {
-        if (err.message === "User does not exist")
-            return parseHelper(res, 404, null, err.message);
+        if (err.message === "Too many login attempts, try again later") {
+            res.set('Retry-After', String(err.retry_after));
+            return parseHelper(res, 429, null, err.message);
+        }
 
         if (err.message === "Invalid credentials")
             return parseHelper(res, 401, null, err.message);
@@ -32,13 +38,116 @@ const login = async (req, res) => {
     }
 }
 
+const login_two_factor = async (req, res) => {
+    try {
+        const {two_factor_token, code, recovery_code} = req.body;
+        const user = await UserServices.loginTwoFactor(two_factor_token, code, recovery_code, req.ip);
+        return parseHelper(res, 200, user, "Logged In successfully");
+    } catch (err) {
+        if (err.message === "Too many login attempts, try again later") {
+            res.set('Retry-After', String(err.retry_after));
+            return parseHelper(res, 429, null, err.message);
+        }
+
+        if (err.message === "Invalid two-factor token" || err.message === "Invalid two-factor code")
+            return parseHelper(res, 401, null, err.message);
+        console.log(err)
+        return parseHelper(res, 500, null, err);
+    }
+}
+
+const handleTwoFactorError = (res, err) => {
+    if (err.message === "User does not exist")
+        return parseHelper(res, 404, null, err.message);
+    if (err.message === "Two-factor authentication is only available for admin accounts")
+        return parseHelper(res, 403, null, err.message);
+    if (err.message === "Invalid two-factor code" || err.message === "Invalid credentials")
+        return parseHelper(res, 401, null, err.message);
+    if (err.message.startsWith("Two-factor"))
+        return parseHelper(res, 400, null, err.message);
+    console.log(err)
+    return parseHelper(res, 500, null, err);
+}
+
+const setup_two_factor = async (req, res) => {
+    try {
+        const provisioning = await TwoFactorServices.setup(req.user.id);
+        return parseHelper(res, 200, provisioning, "returned successfully");
+    } catch (err) {
+        return handleTwoFactorError(res, err);
+    }
+}
+
+const enable_two_factor = async (req, res) => {
+    try {
+        const {code} = req.body;
+        const codes = await TwoFactorServices.enable(req.user.id, code, actorFrom(req));
+        return parseHelper(res, 200, codes, "enabled successfully");
+    } catch (err) {
+        return handleTwoFactorError(res, err);
+    }
+}
+
+const disable_two_factor = async (req, res) => {
+    try {
+        const {password, code, recovery_code} = req.body;
+        const user = await TwoFactorServices.disable(req.user.id, password, code, recovery_code, actorFrom(req));
+        return parseHelper(res, 200, user, "disabled successfully");
+    } catch (err) {
+        return handleTwoFactorError(res, err);
+    }
+}
+
+const refresh = async (req, res) => {
+    try {
+        const {refresh_token} = req.body;
+        const tokens = await UserServices.refresh(refresh_token);
+        return parseHelper(res, 200, tokens, "refreshed successfully");
+    } catch (err) {
+        if (err.message === "Invalid refresh token")
+            return parseHelper(res, 401, null, err.message);
+        console.log(err)
+        return parseHelper(res, 500, null, err);
+    }
+}
+
+const logout = async (req, res) => {
+    try {
+        const {refresh_token} = req.body;
+        await UserServices.logout(refresh_token);
+        return parseHelper(res, 200, null, "Logged out successfully");
+    } catch (err) {
+        if (err.message === "Invalid refresh token")
+            return parseHelper(res, 401, null, err.message);
+        console.log(err)
+        return parseHelper(res, 500, null, err);
+    }
+}
+
 const create = async (req, res) => {
     try {
-        const {user_name, password, role} = req.body;
-        const category = await UserServices.create(user_name, password, role);
+        const {user_name, password, role, permissions} = req.body;
+        const category = await UserServices.create(user_name, password, role, permissions, actorFrom(req));
         return parseHelper(res, 201, category, "created successfully");
     } catch (err) {
-        if (err.message === 'User already exists')
+        if (err.message === 'User already exists' || err.message.startsWith('Password must'))
+            return parseHelper(res, 400, null, err.message);
+        if (err.message === 'Not allowed to manage this role')
+            return parseHelper(res, 403, null, err.message);
+        console.log(err)
+        return parseHelper(res, 500, null, err);
+    }
+}
+
+const bootstrap = async (req, res) => {
+    try {
+        const {user_name, password} = req.body;
+        const user = await UserServices.bootstrap(user_name, password, actorFrom(req));
+        return parseHelper(res, 201, user, "created successfully");
+    } catch (err) {
+        if (err.message === 'Users already exist')
+            return parseHelper(res, 403, null, err.message);
+        if (err.message.startsWith('Password must'))
             return parseHelper(res, 400, null, err.message);
         console.log(err)
         return parseHelper(res, 500, null, err);
@@ -47,15 +156,19 @@ const create = async (req, res) => {
 
 const update = async (req, res) => {
     try {
-        const {password, role} = req.body;
+        const {password, role, permissions} = req.body;
         const {id} = req.params;
 
-        const user = await UserServices.update(id, password, role);
+        const user = await UserServices.update(id, password, role, permissions, actorFrom(req));
         if (!user) throw new Error("User does not exist");
         return parseHelper(res, 200, user, "updated successfully");
     } catch (err) {
         if (err.message === 'User does not exist')
             return parseHelper(res, 404, null, err.message);
+        if (err.message.startsWith('Password must') || err.message === 'Use /user/me/password to change your own password')
+            return parseHelper(res, 400, null, err.message);
+        if (err.message === 'Not allowed to manage this role' || err.message === 'Cannot remove the last owner')
+            return parseHelper(res, 403, null, err.message);
         console.log(err)
         return parseHelper(res, 500, null, err);
 
@@ -65,13 +178,79 @@ const update = async (req, res) => {
 const remove = async (req, res) => {
     try {
         const {id} = req.params;
-        const user = await UserServices.remove(id);
+        const user = await UserServices.remove(id, actorFrom(req));
         if (!user) throw new Error("User does not exist");
         return parseHelper(res, 204, user, "removed successfully");
 
     } catch (err) {
         if (err.message === 'User does not exist')
             return parseHelper(res, 404, null, err.message);
+        if (err.message === 'Not allowed to manage this role' || err.message === 'Cannot remove the last owner')
+            return parseHelper(res, 403, null, err.message);
+        console.log(err)
+        return parseHelper(res, 500, null, err);
+    }
+}
+
+const unlock = async (req, res) => {
+    try {
+        const {id} = req.params;
+        const user = await UserServices.unlock(id, actorFrom(req));
+        return parseHelper(res, 200, user, "unlocked successfully");
+    } catch (err) {
+        if (err.message === 'User does not exist')
+            return parseHelper(res, 404, null, err.message);
+        console.log(err)
+        return parseHelper(res, 500, null, err);
+    }
+}
+
+const change_password = async (req, res) => {
+    try {
+        const {current_password, new_password} = req.body;
+        const user = await UserServices.changePassword(req.user.id, current_password, new_password, actorFrom(req));
+        return parseHelper(res, 200, user, "updated successfully");
+    } catch (err) {
+        if (err.message === "Too many login attempts, try again later") {
+            res.set('Retry-After', String(err.retry_after));
+            return parseHelper(res, 429, null, err.message);
+        }
+        if (err.message === 'User does not exist')
+            return parseHelper(res, 404, null, err.message);
+        if (err.message === 'Invalid credentials')
+            return parseHelper(res, 401, null, err.message);
+        if (err.message === 'New password is required' || err.message.startsWith('Password must'))
+            return parseHelper(res, 400, null, err.message);
+        console.log(err)
+        return parseHelper(res, 500, null, err);
+    }
+}
+
+const create_reset_token = async (req, res) => {
+    try {
+        const {id} = req.params;
+        const token = await UserServices.createResetToken(id, actorFrom(req));
+        return parseHelper(res, 201, token, "created successfully");
+    } catch (err) {
+        if (err.message === 'User does not exist')
+            return parseHelper(res, 404, null, err.message);
+        if (err.message === 'Not allowed to manage this role' || err.message === 'Cannot create a reset token for yourself')
+            return parseHelper(res, 403, null, err.message);
+        console.log(err)
+        return parseHelper(res, 500, null, err);
+    }
+}
+
+const reset_password = async (req, res) => {
+    try {
+        const {reset_token, new_password} = req.body;
+        const user = await UserServices.redeemResetToken(reset_token, new_password, actorFrom(req));
+        return parseHelper(res, 200, user, "password reset successfully");
+    } catch (err) {
+        if (err.message === 'Invalid reset token')
+            return parseHelper(res, 401, null, err.message);
+        if (err.message === 'New password is required' || err.message.startsWith('Password must'))
+            return parseHelper(res, 400, null, err.message);
         console.log(err)
         return parseHelper(res, 500, null, err);
     }
@@ -79,8 +258,19 @@ const remove = async (req, res) => {
 
 module.exports = {
     create,
+    bootstrap,
     index,
     login,
+    login_two_factor,
+    setup_two_factor,
+    enable_two_factor,
+    disable_two_factor,
+    refresh,
+    logout,
     update,
-    remove
+    remove,
+    unlock,
+    change_password,
+    create_reset_token,
+    reset_password
 };
\ No newline at end of file
@@ -0,0 +1,110 @@
+const ATTRIBUTE_TYPES = ['number', 'string', 'boolean', 'enum'];
+const FILTER_OPERATORS = { eq: null, ne: '$ne', lt: '$lt', lte: '$lte', gt: '$gt', gte: '$gte', in: '$in' };
+const KEY_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+// checks the attribute definitions of a category, throws on the first problem
+const validateDefinitions = (definitions) => {
+    if (!Array.isArray(definitions)) throw new Error("Invalid attribute definitions");
+    const keys = new Set();
+    for (const definition of definitions) {
+        if (!definition || !KEY_PATTERN.test(definition.key || ''))
+            throw new Error("Invalid attribute key");
+        if (keys.has(definition.key)) throw new Error(`Duplicate attribute ${definition.key}`);
+        keys.add(definition.key);
+        if (!ATTRIBUTE_TYPES.includes(definition.type))
+            throw new Error(`Invalid type for attribute ${definition.key}`);
+        if (definition.type === 'enum' && (!Array.isArray(definition.values) || !definition.values.length))
+            throw new Error(`Attribute ${definition.key} needs values`);
+    }
+}
+
+// the definitions that apply to an item, the sub category's win over the main category's with the same key
+const mergeDefinitions = (mainDefinitions = [], subDefinitions = []) => {
+    const merged = new Map();
+    for (const definition of [...mainDefinitions, ...subDefinitions]) {
+        merged.set(definition.key, definition);
+    }
+    return [...merged.values()];
+}
+
+// the value in the type of its definition, undefined when it does not fit
+const castValue = (definition, value) => {
+    switch (definition.type) {
+        case 'number': {
+            const number = typeof value === 'number' ? value : Number(value);
+            return value === '' || value === null || isNaN(number) ? undefined : number;
+        }
+        case 'boolean':
+            if (value === true || value === 'true') return true;
+            if (value === false || value === 'false') return false;
+            return undefined;
+        case 'enum':
+            return definition.values.includes(String(value)) ? String(value) : undefined;
+        default:
+            return typeof value === 'string' || typeof value === 'number' ? String(value) : undefined;
+    }
+}
+
+// the item's attribute values cast to their types, unknown keys, wrong types and missing required ones throw
+const validateValues = (definitions, values = {}) => {
+    const result = {};
+    for (const key of Object.keys(values)) {
+        const definition = definitions.find(definition => definition.key === key);
+        if (!definition) throw new Error(`Unknown attribute ${key}`);
+        if (values[key] === null || values[key] === '') continue;
+        const value = castValue(definition, values[key]);
+        if (value === undefined) throw new Error(`Invalid value for attribute ${key}`);
+        result[key] = value;
+    }
+    for (const definition of definitions) {
+        if (definition.required && result[definition.key] === undefined)
+            throw new Error(`Attribute ${definition.key} is required`);
+    }
+    return result;
+}
+
+// a query value may be stored as a number or a boolean, without knowing the definition all fitting forms match
+const queryForms = (value) => {
+    const forms = [value];
+    if (value !== '' && !isNaN(Number(value))) forms.push(Number(value));
+    if (value === 'true') forms.push(true);
+    if (value === 'false') forms.push(false);
+    return forms;
+}
+
+// attr.<key>=<value> and attr.<key>[<operator>]=<value> query parameters as a mongo filter on the item attributes
+const attributeFilter = (query = {}) => {
+    const conditions = [];
+    for (const [param, raw] of Object.entries(query)) {
+        if (!param.startsWith('attr.')) continue;
+        const key = param.slice('attr.'.length);
+        if (!KEY_PATTERN.test(key)) throw new Error("Invalid attribute filter");
+
+        const operations = typeof raw === 'object' && !Array.isArray(raw) ? raw : { eq: raw };
+        for (const [operator, value] of Object.entries(operations)) {
+            if (!(operator in FILTER_OPERATORS) || typeof value !== 'string')
+                throw new Error("Invalid attribute filter");
+            const field = `attributes.${key}`;
+
+            if (operator === 'eq') {
+                conditions.push({ [field]: { $in: queryForms(value) } });
+            } else if (operator === 'ne') {
+                conditions.push({ [field]: { $nin: queryForms(value) } });
+            } else if (operator === 'in') {
+                conditions.push({ [field]: { $in: value.split(',').flatMap(queryForms) } });
+            } else {
+                const number = Number(value);
+                conditions.push({ [field]: { [FILTER_OPERATORS[operator]]: isNaN(number) ? value : number } });
+            }
+        }
+    }
+    return conditions;
+}
+
+module.exports = {
+    ATTRIBUTE_TYPES,
+    validateDefinitions,
+    mergeDefinitions,
+    validateValues,
+    attributeFilter,
+};
@@ -0,0 +1,8 @@
+// who did it and through which route, handed to the services so they can write the audit log
+const actorFrom = (req) => {
+    return {...req.user, route: `${req.method} ${req.originalUrl}`};
+}
+
+module.exports = {
+    actorFrom,
+};
@@ -0,0 +1,69 @@
+const mongoose = require("mongoose");
+
+// keyset pagination over a list of [field, direction] sort keys, the last key has to be unique (_id).
+// the cursor carries the sort values of the last returned document
+
+const DATE_FIELDS = ["createdAt"];
+
+const valueOf = (doc, field) => {
+    const value = field.split(".").reduce((current, key) => current == null ? current : current[key], doc);
+    if (value == null) return null;
+    if (value._id) return value._id; // populated reference
+    return value;
+}
+
+const encodeCursor = (doc, keys) => {
+    const values = keys.map(([field]) => valueOf(doc, field));
+    return Buffer.from(JSON.stringify(values)).toString("base64url");
+}
+
+const decodeCursor = (cursor, keys) => {
+    let values;
+    try {
+        values = JSON.parse(Buffer.from(String(cursor), "base64url").toString());
+    } catch (err) {
+        throw new Error("Invalid cursor");
+    }
+    if (!Array.isArray(values) || values.length !== keys.length)
+        throw new Error("Invalid cursor");
+
+    return values.map((value, i) => {
+        const [field] = keys[i];
+        if (value === null) return null;
+        if (DATE_FIELDS.includes(field)) return new Date(value);
+        if (field === "_id") {
+            if (!mongoose.isValidObjectId(value)) throw new Error("Invalid cursor");
+            return new mongoose.Types.ObjectId(value);
+        }
+        return value;
+    });
+}
+
+// null/missing values sort before everything else ascending, after everything else descending
+const afterValue = (field, value, direction) => {
+    if (value === null)
+        return direction === 1 ? {[field]: {$ne: null}} : null;
+    if (direction === 1)
+        return {[field]: {$gt: value}};
+    return {$or: [{[field]: {$lt: value}}, {[field]: null}]};
+}
+
+// documents strictly after the cursor: equal on the first i keys and after it on key i
+const cursorFilter = (keys, values) => {
+    const branches = [];
+    for (let i = 0; i < keys.length; i++) {
+        const [field, direction] = keys[i];
+        const after = afterValue(field, values[i], direction);
+        if (!after) continue;
+
+        const equal = keys.slice(0, i).map(([previous], j) => ({[previous]: values[j]}));
+        branches.push(equal.length ? {$and: [...equal, after]} : after);
+    }
+    return {$or: branches};
+}
+
+module.exports = {
+    encodeCursor,
+    decodeCursor,
+    cursorFilter,
+};
@@ -0,0 +1,92 @@
+const DISCOUNT_TYPES = ['percentage', 'fixed'];
+const CAMPAIGN_SCOPES = ['item', 'sub_category', 'main_category', 'store'];
+
+// a discount is {type, value}, a bare number is a percentage
+const asDiscount = (discount) => {
+    if (discount === undefined || discount === null || discount === '') return null;
+    if (typeof discount === 'object') return discount;
+    return { type: 'percentage', value: Number(discount) };
+}
+
+// never below zero, a fixed discount bigger than the price makes it free
+const discountedPrice = (price, discount) => {
+    if (price === undefined || price === null) return null;
+    const { type, value } = asDiscount(discount) || {};
+    if (!value) return price;
+    const result = type === 'fixed' ? price - value : price * (1 - value / 100);
+    return Math.max(result, 0);
+}
+
+// fixed amounts are in dollars, `factor` moves them to another currency
+const scaleDiscount = (discount, factor) => {
+    const parsed = asDiscount(discount);
+    if (!parsed || parsed.type !== 'fixed') return parsed;
+    return { ...parsed, value: parsed.value * factor };
+}
+
+const idOf = (value) => {
+    if (!value) return null;
+    return String(value._id || value);
+}
+
+const campaignApplies = (campaign, item) => {
+    const ids = (campaign.target_ids || []).map(String);
+    switch (campaign.scope) {
+        case 'store':
+            return true;
+        case 'item':
+            return ids.includes(idOf(item._id));
+        case 'sub_category':
+            return ids.includes(idOf(item.sub_category_id));
+        case 'main_category':
+            return ids.includes(idOf(item.main_category_id));
+        default:
+            return false;
+    }
+}
+
+// the discount stored on the variant, or on the item when the variant has none
+const ownDiscount = (item, variant) => {
+    const onVariant = variant && variant.discount !== undefined && variant.discount !== null;
+    const value = onVariant ? variant.discount : item.discount;
+    if (value === undefined || value === null) return null;
+    const type = (onVariant && variant.discount_type) || item.discount_type || 'percentage';
+    return { type, value: Number(value) };
+}
+
+// the price of the variant, or of the item when the variant has none
+const basePrice = (item, variant) => {
+    const ownPrice = variant && variant.price !== undefined && variant.price !== null;
+    return ownPrice ? variant.price : item.price;
+}
+
+// the item's (or variant's) own discount or the applying campaign, whichever leaves the lowest price.
+// null when nothing lowers it
+const effectiveDiscount = (item, variant, campaigns = []) => {
+    const price = basePrice(item, variant);
+
+    const candidates = [];
+    const own = ownDiscount(item, variant);
+    if (own && own.value > 0) candidates.push({ ...own, campaign: null });
+    for (const campaign of campaigns) {
+        if (campaign.value > 0 && campaignApplies(campaign, item))
+            candidates.push({ type: campaign.type, value: campaign.value, campaign });
+    }
+    if (!candidates.length || price === undefined || price === null) return null;
+
+    return candidates.reduce((best, candidate) =>
+        discountedPrice(price, candidate) < discountedPrice(price, best) ? candidate : best
+    );
+}
+
+module.exports = {
+    DISCOUNT_TYPES,
+    CAMPAIGN_SCOPES,
+    asDiscount,
+    discountedPrice,
+    scaleDiscount,
+    campaignApplies,
+    ownDiscount,
+    basePrice,
+    effectiveDiscount,
+};
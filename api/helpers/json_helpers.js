@@ -0,0 +1,14 @@
+// multipart requests send objects and arrays as JSON strings, anything else is passed through.
+// `message` is the error thrown when the string is not valid JSON
+const parseJson = (value, message) => {
+    if (typeof value !== 'string') return value;
+    try {
+        return JSON.parse(value);
+    } catch (err) {
+        throw new Error(message);
+    }
+}
+
+module.exports = {
+    parseJson,
+};
@@ -0,0 +1,21 @@
+const ORDER_STATUSES = ['pending', 'confirmed', 'preparing', 'out_for_delivery', 'delivered', 'cancelled'];
+
+// the statuses an order may move to from each status, delivered and cancelled are final
+const ORDER_TRANSITIONS = {
+    pending: ['confirmed', 'cancelled'],
+    confirmed: ['preparing', 'cancelled'],
+    preparing: ['out_for_delivery', 'cancelled'],
+    out_for_delivery: ['delivered', 'cancelled'],
+    delivered: [],
+    cancelled: [],
+};
+
+const canTransition = (from, to) => {
+    return (ORDER_TRANSITIONS[from] || []).includes(to);
+}
+
+module.exports = {
+    ORDER_STATUSES,
+    ORDER_TRANSITIONS,
+    canTransition,
+};
@@ -0,0 +1,18 @@
+// phone numbers are compared and stored as digits only, so "+963 933 123 456" and
+// "00963933123456" are the same customer. the international "00" prefix is dropped like "+"
+const normalizePhone = (phone) => {
+    if (phone === undefined || phone === null) return '';
+    return String(phone).replace(/\D/g, '').replace(/^00/, '');
+}
+
+// spaces, dashes, brackets and a leading "+" are allowed around 6 to 15 digits
+const isValidPhone = (phone) => {
+    if (!/^\+?[0-9 ()-]+$/.test(String(phone).trim())) return false;
+    const digits = normalizePhone(phone);
+    return digits.length >= 6 && digits.length <= 15;
+}
+
+module.exports = {
+    normalizePhone,
+    isValidPhone,
+};
@@ -0,0 +1,81 @@
+const { discountedPrice, scaleDiscount, effectiveDiscount } = require('./discount_helpers');
+
+const ROUNDING_MODES = ['nearest', 'up', 'down'];
+
+// lowest and highest price over the variants, or the item's own price when it has none
+const priceRange = (item) => {
+    const prices = (item.variants || [])
+        .map(variant => variant.price ?? item.price)
+        .filter(price => price !== undefined && price !== null);
+
+    if (!prices.length) {
+        const price = item.price ?? null;
+        return { min: price, max: price };
+    }
+    return { min: Math.min(...prices), max: Math.max(...prices) };
+}
+
+// rounds a local price to a multiple of the configured step, without a step to a whole number
+const roundPrice = (value, rounding = {}) => {
+    if (value === undefined || value === null) return null;
+    const round = { up: Math.ceil, down: Math.floor }[rounding.mode] || Math.round;
+    const step = rounding.step || 0;
+    if (step <= 0) return round(value);
+    return round(value / step) * step;
+}
+
+// converts a dollar amount, rounded with the currency's rounding settings or to its precision
+const convertPrice = (amount, currency) => {
+    if (amount === undefined || amount === null || !(currency.rate > 0)) return null;
+    const value = amount * currency.rate;
+    if (currency.rounding) return roundPrice(value, currency.rounding);
+    const factor = 10 ** (currency.precision ?? 2);
+    return Math.round(value * factor) / factor;
+}
+
+// a price given in the currency back in dollars, for the price filters
+const toBasePrice = (amount, currency) => {
+    if (amount === undefined || amount === null || amount === '' || !currency || !(currency.rate > 0)) return amount;
+    return Number(amount) / currency.rate;
+}
+
+// local price and discounted local price of the item, or of one of its variants.
+// a variant without its own price takes the item's price and its fixed local price too.
+// pricing.campaigns are the campaigns running at the time the prices are for
+const localPrices = (item, variant, pricing) => {
+    const ownPrice = variant && variant.price !== undefined && variant.price !== null;
+    const price = ownPrice ? variant.price : item.price;
+    const discount = scaleDiscount(effectiveDiscount(item, variant, pricing.campaigns), pricing.rate);
+    const fixed = ownPrice ? null : item.fixed_local_price ?? null;
+
+    let base = fixed;
+    if (base === null && price !== undefined && price !== null && pricing.rate > 0)
+        base = price * pricing.rate;
+    if (base === null) return { local_price: null, local_discounted_price: null };
+
+    return {
+        local_price: fixed !== null ? fixed : roundPrice(base, pricing.rounding),
+        local_discounted_price: roundPrice(discountedPrice(base, discount), pricing.rounding),
+    };
+}
+
+// priceRange in the local currency, over the local prices so fixed local prices count
+const localRange = (item, pricing) => {
+    const variants = item.variants && item.variants.length ? item.variants : [null];
+    const prices = variants
+        .map(variant => localPrices(item, variant, pricing).local_price)
+        .filter(price => price !== null);
+
+    if (!prices.length) return { min: null, max: null };
+    return { min: Math.min(...prices), max: Math.max(...prices) };
+}
+
+module.exports = {
+    ROUNDING_MODES,
+    priceRange,
+    localRange,
+    roundPrice,
+    convertPrice,
+    toBasePrice,
+    localPrices,
+};
@@ -0,0 +1,76 @@
+const PERMISSIONS = [
+    'item:write',
+    'inventory:read',
+    'inventory:write',
+    'order:read',
+    'order:write',
+    'delivery:write',
+    'coupon:read',
+    'coupon:write',
+    'category:write',
+    'faq:write',
+    'settings:dollar',
+    'settings:write',
+    'user:read',
+    'user:manage',
+    'audit:read',
+];
+
+// orders hold customer details and coupons hand out money, so the order, delivery and coupon
+// permissions stay with owners and managers unless granted to someone on purpose
+const ROLE_PERMISSIONS = {
+    owner: PERMISSIONS,
+    manager: PERMISSIONS,
+    catalog_editor: ['item:write', 'inventory:read', 'inventory:write', 'category:write', 'settings:dollar'],
+    content_editor: ['faq:write', 'settings:write'],
+    viewer: ['inventory:read'],
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// used to decide who may hand out which role, a higher rank can manage a lower one
+const ROLE_RANKS = {
+    owner: 3,
+    manager: 2,
+    catalog_editor: 1,
+    content_editor: 1,
+    viewer: 0,
+};
+
+// roles the numeric values of the old `role` field map to
+const LEGACY_ROLES = {
+    0: 'viewer',
+    1: 'manager',
+    2: 'owner',
+};
+
+const getPermissions = (role, extra = []) => {
+    return [...new Set([...(ROLE_PERMISSIONS[role] || []), ...extra])];
+}
+
+const hasPermission = (user, permission) => {
+    return getPermissions(user.role, user.permissions).includes(permission);
+}
+
+// owners may hand out any role, everybody else only roles strictly below their own
+const canManageRole = (actorRole, targetRole) => {
+    if (!(targetRole in ROLE_RANKS)) return false;
+    if (actorRole === 'owner') return true;
+    return ROLE_RANKS[targetRole] < ROLE_RANKS[actorRole];
+}
+
+// extra permissions can only be granted by someone who holds them
+const canGrantPermissions = (actor, permissions = []) => {
+    return permissions.every(permission => hasPermission(actor, permission));
+}
+
+module.exports = {
+    PERMISSIONS,
+    ROLES,
+    ROLE_PERMISSIONS,
+    LEGACY_ROLES,
+    getPermissions,
+    hasPermission,
+    canManageRole,
+    canGrantPermissions,
+};
@@ -0,0 +1,35 @@
+// harakat, superscript alef and tatweel never change the meaning for a search
+const ARABIC_MARKS = /[\u064B-\u065F\u0670\u0640]/g;
+
+// folds the spellings people mix up (alef/hamza forms, alef maqsura, taa marbuta, arabic digits)
+// so the stored text and the query compare equal
+const normalize = (text) => {
+    if (!text) return '';
+    return String(text)
+        .toLowerCase()
+        .replace(ARABIC_MARKS, '')
+        .replace(/[\u0622\u0623\u0625\u0671]/g, '\u0627')
+        .replace(/\u0624/g, '\u0648')
+        .replace(/[\u0626\u0649]/g, '\u064A')
+        .replace(/\u0629/g, '\u0647')
+        .replace(/[\u0660-\u0669]/g, (digit) => String(digit.charCodeAt(0) - 0x0660))
+        .replace(/[^\p{L}\p{N}.]+/gu, ' ')
+        // dots only survive inside numbers like 0.8
+        .replace(/\.(?!\d)|(?<!\d)\./g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+const tokenize = (text) => {
+    return normalize(text).split(' ').filter(Boolean);
+}
+
+const escapeRegex = (text) => {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = {
+    normalize,
+    tokenize,
+    escapeRegex,
+};
@@ -0,0 +1,27 @@
+const DEFAULT_LOW_STOCK_THRESHOLD = Number(process.env.LOW_STOCK_THRESHOLD) || 5;
+
+// a missing stock means the stock is not tracked, such an item never runs out
+const isTracked = (stock) => stock !== undefined && stock !== null;
+
+const variantInStock = (variant) => {
+    return variant.is_available !== false && (!isTracked(variant.stock) || variant.stock > 0);
+}
+
+// items with variants are in stock as long as one of the variants is
+const itemInStock = (item) => {
+    if (item.variants && item.variants.length)
+        return item.variants.some(variantInStock);
+    return !isTracked(item.stock) || item.stock > 0;
+}
+
+const lowStockThreshold = (item) => {
+    return item.low_stock_threshold ?? DEFAULT_LOW_STOCK_THRESHOLD;
+}
+
+module.exports = {
+    DEFAULT_LOW_STOCK_THRESHOLD,
+    isTracked,
+    variantInStock,
+    itemInStock,
+    lowStockThreshold,
+};
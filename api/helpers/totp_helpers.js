@@ -0,0 +1,93 @@
+const crypto = require("crypto");
+
+// RFC 6238 defaults, the ones every authenticator app understands
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = "";
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0)
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+
+    return output;
+}
+
+const base32Decode = (input) => {
+    const clean = input.toUpperCase().replace(/=+$/, "").replace(/\s/g, "");
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error("Invalid base32 secret");
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+}
+
+const generateSecret = () => {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+const currentStep = (time = Date.now()) => {
+    return Math.floor(time / 1000 / STEP_SECONDS);
+}
+
+// HOTP (RFC 4226) for the given time step
+const generateCode = (secret, step = currentStep()) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 15;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+}
+
+// returns the matching step so callers can refuse a code that was already used, or null
+const verifyCode = (secret, code, window = 1) => {
+    if (!code || !/^\d+$/.test(String(code))) return null;
+
+    const now = currentStep();
+    for (let step = now - window; step <= now + window; step++) {
+        const expected = Buffer.from(generateCode(secret, step));
+        const given = Buffer.from(String(code));
+        if (expected.length === given.length && crypto.timingSafeEqual(expected, given))
+            return step;
+    }
+    return null;
+}
+
+const otpauthUri = (secret, account, issuer) => {
+    const label = encodeURIComponent(`${issuer}:${account}`);
+    // spaces have to be %20, some apps show the "+" URLSearchParams would produce
+    const params = `secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+    return `otpauth://totp/${label}?${params}`;
+}
+
+module.exports = {
+    generateSecret,
+    generateCode,
+    verifyCode,
+    otpauthUri,
+};
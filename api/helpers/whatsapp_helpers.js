@@ -0,0 +1,57 @@
+const { normalizePhone } = require('./phone_helpers');
+
+// builds the order summaries customers send to the store on WhatsApp, Arabic first and English second
+
+const formatAmount = (local, usd) => {
+    if (local !== null && local !== undefined) return `${Number(local).toLocaleString('en-US')} ل.س / SYP`;
+    if (usd !== null && usd !== undefined) return `$${usd}`;
+    return '-';
+}
+
+const lineText = (line) => {
+    const names = line.ar_name && line.ar_name !== line.name ? `${line.ar_name} / ${line.name}` : line.name;
+    const options = line.options && Object.keys(line.options).length
+        ? ` (${Object.entries(line.options).map(([name, value]) => `${name}: ${value}`).join(', ')})`
+        : '';
+    return `• ${names}${options} × ${line.quantity} = ${formatAmount(line.local_line_total, line.line_total)}`;
+}
+
+// `summary` is a priced cart or an order: {reference, lines, subtotal, coupon, delivery, total, customer}
+const formatMessage = (summary) => {
+    const rows = [
+        summary.is_order ? 'طلب جديد / New order' : 'أريد طلب / I would like to order',
+        `المرجع / Reference: ${summary.reference}`,
+        '',
+        ...summary.lines.map(lineText),
+        '',
+    ];
+    if ((summary.coupon && summary.coupon.discount) || summary.delivery)
+        rows.push(`المجموع الفرعي / Subtotal: ${formatAmount(summary.local_subtotal, summary.subtotal)}`);
+    if (summary.coupon && summary.coupon.discount)
+        rows.push(`الخصم / Coupon (${summary.coupon.code}): -${formatAmount(summary.coupon.local_discount, summary.coupon.discount)}`);
+    if (summary.delivery) {
+        const zone = summary.delivery.ar_name ? `${summary.delivery.ar_name} / ${summary.delivery.name}` : summary.delivery.name;
+        rows.push(`التوصيل / Delivery (${zone}): ${formatAmount(summary.delivery.local_fee, summary.delivery.fee)}`);
+    }
+    rows.push(`المجموع / Total: ${formatAmount(summary.local_total, summary.total)}`);
+    if (summary.customer) {
+        rows.push(
+            `الاسم / Name: ${summary.customer.name}`,
+            `الهاتف / Phone: ${summary.customer.phone}`,
+            `العنوان / Address: ${summary.customer.address}`,
+        );
+    }
+    return rows.join('\n');
+}
+
+// wa.me wants the number in international format without "+", spaces or leading zeros
+const waLink = (phone_number, message) => {
+    const digits = normalizePhone(phone_number);
+    if (!digits) return null;
+    return `https://wa.me/${digits}?text=${encodeURIComponent(message)}`;
+}
+
+module.exports = {
+    formatMessage,
+    waLink,
+};
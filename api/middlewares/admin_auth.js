@@ -1,27 +1,66 @@
 const jwt = require("jsonwebtoken");
 const parseHelper = require("../helpers/response_helper");
-const is_admin = (req, res, next) => {
+const UserModel = require("../models/user_model");
+const {hasPermission} = require("../helpers/role_helpers");
+
+// the token only proves who the caller is, the role and permissions are read from the user as it
+// is now, so a demoted or removed user loses access right away and not when the token expires
+const verifyToken = async (req) => {
+    const token = req.headers.auth;
+    if (!token)
+        throw new Error("Token not found");
+
+    const claims = jwt.verify(token, process.env.SECRET);
+    // tokens issued for a single purpose, like the two-factor step of the login, are no access tokens
+    if (claims.purpose)
+        throw new jwt.JsonWebTokenError("invalid token purpose");
+
+    const user = await UserModel.findById(claims.id, {user_name: 1, role: 1, permissions: 1}).lean();
+    if (!user)
+        throw new jwt.JsonWebTokenError("user no longer exists");
+
+    return {...claims, id: String(user._id), user_name: user.user_name, role: user.role, permissions: user.permissions || []};
+}
+
+const handleAuthError = (res, err) => {
+    if (err.name === "TokenExpiredError")
+        return parseHelper(res, 401, null, "Token expired");
+    if (err.name === "JsonWebTokenError" || err.name === "NotBeforeError")
+        return parseHelper(res, 401, null, "Invalid token");
+    if (err.message.includes("you are not allowed to do this action"))
+        return parseHelper(res, 401, null, err.message);
+    if (err.message.includes("Token not found"))
+        return parseHelper(res, 403, null, err.message);
+    return parseHelper(res, 400, null, err.message);
+}
+
+// only checks that the request carries a valid token
+const authenticate = async (req, res, next) => {
     try {
-        const token = req.headers.auth;
-        if (!token)
-            throw new Error("Token not found");
+        req.user = await verifyToken(req);
+        return next();
+    } catch (err) {
+        return handleAuthError(res, err);
+    }
+}
 
-        const user = jwt.decode(token);
+// the user needs every one of the given permissions, either through the role or granted directly
+const requirePermission = (...permissions) => async (req, res, next) => {
+    try {
+        const user = await verifyToken(req);
 
-        if (user.role < 1)
+        if (!permissions.every(permission => hasPermission(user, permission)))
             throw new Error("you are not allowed to do this action");
 
+        req.user = user;
         return next();
 
     } catch (err) {
-        if (err.message.includes("you are not allowed to do this action"))
-            return parseHelper(res, 401, null, err.message);
-        if (err.message.includes("Token not found"))
-            return parseHelper(res, 403, null, err.message);
-        return parseHelper(res, 400, null, err.message);
+        return handleAuthError(res, err);
     }
 }
 
 module.exports = {
-    is_admin
-};
\ No newline at end of file
+    authenticate,
+    requirePermission
+};
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+const { ATTRIBUTE_TYPES } = require('../helpers/attribute_helpers');
+
+// an attribute the items of a category carry, e.g. {key: "ohm", type: "number", unit: "Ω"}
+const AttributeSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+    },
+    label: {
+        type: String,
+    },
+    ar_label: {
+        type: String,
+    },
+    type: {
+        type: String,
+        enum: ATTRIBUTE_TYPES,
+        required: true,
+    },
+    // the allowed values of an enum attribute
+    values: {
+        type: [String],
+    },
+    unit: {
+        type: String,
+    },
+    required: {
+        type: Boolean,
+        default: false,
+    },
+}, { _id: false });
+
+module.exports = AttributeSchema;
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+const AuditLogSchema = new mongoose.Schema({
+    user_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'user',
+        index: true,
+    },
+    user_name: {
+        type: String,
+    },
+    // "<METHOD> <url>" of the request that caused the change
+    route: {
+        type: String,
+    },
+    entity: {
+        type: String,
+        required: true,
+    },
+    entity_id: {
+        type: mongoose.Schema.Types.ObjectId,
+    },
+    action: {
+        type: String,
+        enum: ['create', 'update', 'delete'],
+        required: true,
+    },
+    // {field: {before, after}} for every field that changed
+    diff: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {},
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+
+}, {
+    toJSON: {
+        transform: function (doc, ret) {
+            delete ret.__v;
+            return ret;
+        }
+    }
+});
+
+AuditLogSchema.index({entity: 1, entity_id: 1, createdAt: -1});
+AuditLogSchema.index({createdAt: -1});
+
+const AuditLogModel = mongoose.model('audit_log', AuditLogSchema);
+
+module.exports = AuditLogModel;
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+const BrandSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+    },
+
+    description: {
+        type: String,
+    },
+    logo: {
+        type: String,
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+
+}, {
+    toJSON: {
+        transform: function (doc, ret) {
+            delete ret.__v;
+            return ret;
+        }
+    }
+});
+
+
+const BrandModel = mongoose.model('brand', BrandSchema);
+
+module.exports = BrandModel;
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const { DISCOUNT_TYPES, CAMPAIGN_SCOPES } = require('../helpers/discount_helpers');
+
+// a discount that applies to its targets between starts_at and ends_at
+const CampaignSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+    },
+    // fixed amounts are in dollars like the item prices
+    type: {
+        type: String,
+        enum: DISCOUNT_TYPES,
+        required: true,
+    },
+    value: {
+        type: Number,
+        required: true,
+        min: 0,
+    },
+    starts_at: {
+        type: Date,
+        required: true,
+    },
+    ends_at: {
+        type: Date,
+        required: true,
+    },
+    scope: {
+        type: String,
+        enum: CAMPAIGN_SCOPES,
+        required: true,
+    },
+    // items or categories depending on the scope, empty for the whole store
+    target_ids: {
+        type: [mongoose.Schema.Types.ObjectId],
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+
+}, {
+    toJSON: {
+        transform: function (doc, ret) {
+            delete ret.__v;
+            return ret;
+        }
+    }
+});
+
+CampaignSchema.index({starts_at: 1, ends_at: 1});
+
+const CampaignModel = mongoose.model('campaign', CampaignSchema);
+
+module.exports = CampaignModel;
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+const CartLineSchema = new mongoose.Schema({
+    item_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'item',
+        required: true,
+    },
+    variant_id: {
+        type: mongoose.Schema.Types.ObjectId,
+    },
+    quantity: {
+        type: Number,
+        required: true,
+        min: 1,
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+// an anonymous cart, the customer holds the token. prices are never stored, they are
+// resolved from the items every time the cart is read
+const CartSchema = new mongoose.Schema({
+    // only the sha256 of the token is stored, the raw value is handed to the client once
+    token_hash: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    lines: {
+        type: [CartLineSchema],
+    },
+    delivery_zone_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'delivery_zone',
+    },
+    coupon_code: {
+        type: String,
+    },
+    // the whatsapp account the cart was handed to, passed on to the order placed from it
+    whatsapp_phone: {
+        type: String,
+    },
+    // moved forward on every change
+    expires_at: {
+        type: Date,
+        required: true,
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+
+}, {
+    toJSON: {
+        transform: function (doc, ret) {
+            delete ret.__v;
+            delete ret.token_hash;
+            return ret;
+        }
+    }
+});
+
+// let mongo drop the carts nobody touched for a while
+CartSchema.index({expires_at: 1}, {expireAfterSeconds: 0});
+
+const CartModel = mongoose.model('cart', CartSchema);
+
+module.exports = CartModel;
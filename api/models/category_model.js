@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const AttributeSchema = require('./attribute_schema');
 
 const CategorySchema = new mongoose.Schema({
     name: {
@@ -12,6 +13,10 @@ const CategorySchema = new mongoose.Schema({
     image: {
         type: String,
     },
+    // the attributes of the items in the category
+    attributes: {
+        type: [AttributeSchema],
+    },
     createdAt: {
         type: Date,
         default: Date.now,
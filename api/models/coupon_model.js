@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const { DISCOUNT_TYPES, CAMPAIGN_SCOPES } = require('../helpers/discount_helpers');
+
+// a promo code customers enter in the cart, limited to its targets like a campaign
+const CouponSchema = new mongoose.Schema({
+    // stored upper case, matched without regard to case
+    code: {
+        type: String,
+        required: true,
+        unique: true,
+        uppercase: true,
+        trim: true,
+    },
+    // fixed amounts are in dollars like the item prices
+    type: {
+        type: String,
+        enum: DISCOUNT_TYPES,
+        required: true,
+    },
+    value: {
+        type: Number,
+        required: true,
+        min: 0,
+    },
+    // dollars the cart has to add up to, before the coupon and the delivery fee
+    min_order_amount: {
+        type: Number,
+        min: 0,
+    },
+    scope: {
+        type: String,
+        enum: CAMPAIGN_SCOPES,
+        default: 'store',
+    },
+    target_ids: {
+        type: [mongoose.Schema.Types.ObjectId],
+    },
+    // no start or end means no limit on that side
+    starts_at: {
+        type: Date,
+    },
+    ends_at: {
+        type: Date,
+    },
+    // how many orders may use the coupon in total and per customer phone, no limit when not set
+    usage_limit: {
+        type: Number,
+        min: 1,
+    },
+    per_phone_limit: {
+        type: Number,
+        min: 1,
+    },
+    used_count: {
+        type: Number,
+        default: 0,
+    },
+    is_active: {
+        type: Boolean,
+        default: true,
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+
+}, {
+    toJSON: {
+        transform: function (doc, ret) {
+            delete ret.__v;
+            return ret;
+        }
+    }
+});
+
+
+const CouponModel = mongoose.model('coupon', CouponSchema);
+
+module.exports = CouponModel;
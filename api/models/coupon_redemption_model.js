@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// one entry per order placed with a coupon, removed again when the order is cancelled
+const CouponRedemptionSchema = new mongoose.Schema({
+    coupon_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'coupon',
+        required: true,
+    },
+    order_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'order',
+        required: true,
+        unique: true,
+    },
+    // digits only, like the order's customer phone
+    phone: {
+        type: String,
+        required: true,
+    },
+    // 0 up to the coupon's per_phone_limit, one redemption per slot and phone.
+    // not set for coupons without a per phone limit
+    slot: {
+        type: Number,
+    },
+    // dollars the coupon took off the order
+    discount: {
+        type: Number,
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+
+}, {
+    toJSON: {
+        transform: function (doc, ret) {
+            delete ret.__v;
+            return ret;
+        }
+    }
+});
+
+CouponRedemptionSchema.index({coupon_id: 1, _id: -1});
+CouponRedemptionSchema.index(
+    {coupon_id: 1, phone: 1, slot: 1},
+    {unique: true, partialFilterExpression: {slot: {$type: 'number'}}}
+);
+
+const CouponRedemptionModel = mongoose.model('coupon_redemption', CouponRedemptionSchema);
+
+module.exports = CouponRedemptionModel;
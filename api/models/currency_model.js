@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// a display currency, the rate is how much of it one dollar buys.
+// USD is the base and SYP follows settings.dollar_price, neither is stored here
+const CurrencySchema = new mongoose.Schema({
+    code: {
+        type: String,
+        required: true,
+        unique: true,
+        uppercase: true,
+        trim: true,
+        match: /^[A-Z]{3}$/,
+    },
+    symbol: {
+        type: String,
+    },
+    rate: {
+        type: Number,
+        required: true,
+        min: 0,
+    },
+    // decimal places the converted prices are rounded to
+    precision: {
+        type: Number,
+        min: 0,
+        max: 4,
+        default: 2,
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+
+}, {
+    toJSON: {
+        transform: function (doc, ret) {
+            delete ret.__v;
+            return ret;
+        }
+    }
+});
+
+const CurrencyModel = mongoose.model('currency', CurrencySchema);
+
+module.exports = CurrencyModel;
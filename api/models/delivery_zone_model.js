@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// a neighborhood or city the store delivers to, the amounts are in dollars like the item prices
+const DeliveryZoneSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+    },
+    ar_name: {
+        type: String,
+        required: true,
+    },
+    fee: {
+        type: Number,
+        required: true,
+        min: 0,
+    },
+    // orders whose items add up to at least this are delivered for free, none when not set
+    free_shipping_threshold: {
+        type: Number,
+        min: 0,
+    },
+    // shown to the customer as is, e.g. "1-2 hours"
+    estimated_time: {
+        type: String,
+    },
+    is_active: {
+        type: Boolean,
+        default: true,
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+
+}, {
+    toJSON: {
+        transform: function (doc, ret) {
+            delete ret.__v;
+            return ret;
+        }
+    }
+});
+
+
+const DeliveryZoneModel = mongoose.model('delivery_zone', DeliveryZoneSchema);
+
+module.exports = DeliveryZoneModel;
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// one entry per change of settings.dollar_price
+const ExchangeRateSchema = new mongoose.Schema({
+    rate: {
+        type: Number,
+        required: true,
+    },
+    previous_rate: {
+        type: Number,
+    },
+    user_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'user',
+    },
+    user_name: {
+        type: String,
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+
+}, {
+    toJSON: {
+        transform: function (doc, ret) {
+            delete ret.__v;
+            return ret;
+        }
+    }
+});
+
+ExchangeRateSchema.index({createdAt: -1});
+
+const ExchangeRateModel = mongoose.model('exchange_rate', ExchangeRateSchema);
+
+module.exports = ExchangeRateModel;
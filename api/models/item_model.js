@@ -1,4 +1,61 @@
 const mongoose = require('mongoose');
+const { normalize } = require('../helpers/search_helpers');
+const { DISCOUNT_TYPES } = require('../helpers/discount_helpers');
+
+// a percentage discount can not be over 100 and a fixed one can not be more than the price
+const validateDiscount = (doc, price, discount, type) => {
+    if (discount === undefined || discount === null) return;
+    if (type === 'percentage' && discount > 100)
+        doc.invalidate('discount', 'A percentage discount can not be over 100');
+    if (type === 'fixed' && price !== undefined && price !== null && discount > price)
+        doc.invalidate('discount', 'A fixed discount can not be more than the price');
+}
+
+// an option axis like nicotine strength, with the values the variants may use
+const OptionSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+    },
+    values: {
+        type: [String],
+    },
+}, { _id: false });
+
+const VariantSchema = new mongoose.Schema({
+    // axis name -> value, one entry per axis of the item
+    options: {
+        type: Map,
+        of: String,
+    },
+    // falls back to the item's price/discount/discount_type when missing
+    price: {
+        type: Number,
+        min: 0,
+    },
+    discount: {
+        type: Number,
+        min: 0,
+    },
+    discount_type: {
+        type: String,
+        enum: DISCOUNT_TYPES,
+    },
+    sku: {
+        type: String,
+    },
+    images: {
+        type: [String],
+    },
+    is_available: {
+        type: Boolean,
+        default: true,
+    },
+    // not tracked while missing, changed through stock movements only
+    stock: {
+        type: Number,
+    },
+});
 
 const ItemSchema = new mongoose.Schema({
     name: {
@@ -11,6 +68,7 @@ const ItemSchema = new mongoose.Schema({
 
     price: {
         type: Number,
+        min: 0,
     },
 
     description: {
@@ -19,6 +77,18 @@ const ItemSchema = new mongoose.Schema({
 
     discount: {
         type: Number,
+        min: 0,
+    },
+    // percentage of the price or a fixed amount in dollars
+    discount_type: {
+        type: String,
+        enum: DISCOUNT_TYPES,
+        default: 'percentage',
+    },
+    // shown as is instead of the price converted with the dollar rate
+    fixed_local_price: {
+        type: Number,
+        min: 0,
     },
 
     images: {
@@ -34,6 +104,16 @@ const ItemSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: 'sub_category',
     },
+
+    brand_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'brand',
+    },
+    // key -> value for the attributes defined by the item's categories
+    attributes: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {},
+    },
     createdAt: {
         type: Date,
         default: Date.now,
@@ -42,15 +122,62 @@ const ItemSchema = new mongoose.Schema({
         type: Boolean,
         default: false
     },
+    // not tracked while missing, changed through stock movements only
+    stock: {
+        type: Number,
+    },
+    // LOW_STOCK_THRESHOLD is used when missing
+    low_stock_threshold: {
+        type: Number,
+        min: 0,
+    },
+    options: {
+        type: [OptionSchema],
+    },
+    variants: {
+        type: [VariantSchema],
+    },
+    // normalized copies of the text fields, kept up to date on save and only used by the search
+    search: {
+        name: { type: String },
+        ar_name: { type: String },
+        description: { type: String },
+    },
 }, {
     toJSON: {
         transform: function (doc, ret) {
             delete ret.__v;
+            delete ret.search;
             return ret;
         }
     }
 });
 
+VariantSchema.pre('validate', function (next) {
+    const item = this.parent();
+    validateDiscount(
+        this,
+        this.price ?? item.price,
+        this.discount,
+        this.discount_type || item.discount_type
+    );
+    next();
+});
+
+ItemSchema.pre('validate', function (next) {
+    validateDiscount(this, this.price, this.discount, this.discount_type);
+    next();
+});
+
+ItemSchema.pre('save', function (next) {
+    this.search = {
+        name: normalize(this.name),
+        ar_name: normalize(this.ar_name),
+        description: normalize(this.description),
+    };
+    next();
+});
+
 
 const ItemModel = mongoose.model('item', ItemSchema);
 
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+const LoginAttemptSchema = new mongoose.Schema({
+    // "ip:<address>" or "user:<user_name>"
+    key: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    failures: {
+        type: Number,
+        default: 0,
+    },
+    locked_until: {
+        type: Date,
+        default: null,
+    },
+    last_failure_at: {
+        type: Date,
+        default: Date.now,
+    },
+
+}, {
+    toJSON: {
+        transform: function (doc, ret) {
+            delete ret.__v;
+            return ret;
+        }
+    }
+});
+
+// counters are forgotten a day after the last failure
+LoginAttemptSchema.index({last_failure_at: 1}, {expireAfterSeconds: 24 * 60 * 60});
+
+const LoginAttemptModel = mongoose.model('login_attempt', LoginAttemptSchema);
+
+module.exports = LoginAttemptModel;
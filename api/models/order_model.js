@@ -0,0 +1,221 @@
+const mongoose = require('mongoose');
+const { ORDER_STATUSES } = require('../helpers/order_helpers');
+const { DISCOUNT_TYPES } = require('../helpers/discount_helpers');
+
+// what the customer saw at checkout, later changes to the item do not touch it
+const OrderLineSchema = new mongoose.Schema({
+    item_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'item',
+        required: true,
+    },
+    variant_id: {
+        type: mongoose.Schema.Types.ObjectId,
+    },
+    name: {
+        type: String,
+        required: true,
+    },
+    ar_name: {
+        type: String,
+    },
+    options: {
+        type: mongoose.Schema.Types.Mixed,
+    },
+    quantity: {
+        type: Number,
+        required: true,
+        min: 1,
+    },
+    // dollars before the discount
+    price: {
+        type: Number,
+        required: true,
+    },
+    discount: {
+        type: {
+            type: String,
+            enum: DISCOUNT_TYPES,
+        },
+        value: {
+            type: Number,
+        },
+        campaign: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'campaign',
+        },
+    },
+    unit_price: {
+        type: Number,
+        required: true,
+    },
+    local_unit_price: {
+        type: Number,
+    },
+    line_total: {
+        type: Number,
+        required: true,
+    },
+    local_line_total: {
+        type: Number,
+    },
+    // set once the quantity was taken from the tracked stock, so a cancellation knows what to give back
+    stock_deducted: {
+        type: Boolean,
+        default: false,
+    },
+});
+
+const StatusChangeSchema = new mongoose.Schema({
+    status: {
+        type: String,
+        enum: ORDER_STATUSES,
+        required: true,
+    },
+    note: {
+        type: String,
+    },
+    user_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'user',
+    },
+    user_name: {
+        type: String,
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+}, { _id: false });
+
+// the coupon and what it took off, the amounts are already part of the total
+const CouponSchema = new mongoose.Schema({
+    coupon_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'coupon',
+    },
+    code: {
+        type: String,
+    },
+    type: {
+        type: String,
+        enum: DISCOUNT_TYPES,
+    },
+    value: {
+        type: Number,
+    },
+    discount: {
+        type: Number,
+    },
+    local_discount: {
+        type: Number,
+    },
+}, { _id: false });
+
+// the zone as it was at checkout
+const DeliverySchema = new mongoose.Schema({
+    zone_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'delivery_zone',
+    },
+    name: {
+        type: String,
+    },
+    ar_name: {
+        type: String,
+    },
+    estimated_time: {
+        type: String,
+    },
+    fee: {
+        type: Number,
+    },
+    local_fee: {
+        type: Number,
+    },
+}, { _id: false });
+
+const OrderSchema = new mongoose.Schema({
+    // short code the customer and the staff use to talk about the order
+    reference: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    customer: {
+        name: {
+            type: String,
+            required: true,
+        },
+        // digits only, see normalizePhone
+        phone: {
+            type: String,
+            required: true,
+        },
+        address: {
+            type: String,
+            required: true,
+        },
+    },
+    note: {
+        type: String,
+    },
+    lines: {
+        type: [OrderLineSchema],
+    },
+    // the items alone, total takes off the coupon and adds the delivery fee
+    subtotal: {
+        type: Number,
+    },
+    local_subtotal: {
+        type: Number,
+    },
+    coupon: {
+        type: CouponSchema,
+    },
+    delivery: {
+        type: DeliverySchema,
+    },
+    total: {
+        type: Number,
+        required: true,
+    },
+    local_total: {
+        type: Number,
+    },
+    // settings.dollar_price at checkout
+    exchange_rate: {
+        type: Number,
+    },
+    status: {
+        type: String,
+        enum: ORDER_STATUSES,
+        default: 'pending',
+    },
+    status_history: {
+        type: [StatusChangeSchema],
+    },
+    // the whatsapp account the order, or the cart it came from, was handed to
+    whatsapp_phone: {
+        type: String,
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+
+}, {
+    toJSON: {
+        transform: function (doc, ret) {
+            delete ret.__v;
+            return ret;
+        }
+    }
+});
+
+OrderSchema.index({status: 1, createdAt: -1});
+OrderSchema.index({'customer.phone': 1});
+
+const OrderModel = mongoose.model('order', OrderSchema);
+
+module.exports = OrderModel;
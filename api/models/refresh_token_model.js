@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+const RefreshTokenSchema = new mongoose.Schema({
+    user_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'user',
+        required: true,
+        index: true,
+    },
+    // only the sha256 of the token is stored, the raw value is handed to the client once
+    token_hash: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    expires_at: {
+        type: Date,
+        required: true,
+    },
+    revoked_at: {
+        type: Date,
+        default: null,
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+
+}, {
+    toJSON: {
+        transform: function (doc, ret) {
+            delete ret.__v;
+            delete ret.token_hash;
+            return ret;
+        }
+    }
+});
+
+// let mongo drop the documents once they are expired
+RefreshTokenSchema.index({expires_at: 1}, {expireAfterSeconds: 0});
+
+const RefreshTokenModel = mongoose.model('refresh_token', RefreshTokenSchema);
+
+module.exports = RefreshTokenModel;
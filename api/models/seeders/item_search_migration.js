@@ -0,0 +1,18 @@
+const ItemModel = require("../item_model");
+
+
+// fills the normalized search fields of items saved before the search existed
+const migrate = async () => {
+    try {
+        const items = await ItemModel.find({search: {$exists: false}});
+        for (const item of items) {
+            await item.save();
+        }
+        console.log(`${items.length} items indexed for search`);
+    } catch (err) {
+        console.error(err);
+    }
+
+}
+
+module.exports = {migrate};
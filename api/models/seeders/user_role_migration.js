@@ -0,0 +1,22 @@
+const UserModel = require("../user_model");
+const {LEGACY_ROLES} = require("../../helpers/role_helpers");
+
+
+// converts the old numeric roles to the named ones, goes through the raw collection
+// because the schema would refuse to load the numbers
+const migrate = async () => {
+    try {
+        for (const [number, role] of Object.entries(LEGACY_ROLES)) {
+            const {modifiedCount} = await UserModel.collection.updateMany(
+                {role: Number(number)},
+                {$set: {role}}
+            );
+            console.log(`${modifiedCount} users moved from role ${number} to ${role}`);
+        }
+    } catch (err) {
+        console.error(err);
+    }
+
+}
+
+module.exports = {migrate};
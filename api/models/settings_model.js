@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { ROUNDING_MODES } = require('../helpers/price_helpers');
 
 
 
@@ -42,12 +43,31 @@ const SocialMediaSchema = new mongoose.Schema({
 }, { _id: false });
 
 
+// how the local prices converted with dollar_price are rounded, a step of 0 rounds to a whole number
+const PriceRoundingSchema = new mongoose.Schema({
+    step: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    mode: {
+        type: String,
+        enum: ROUNDING_MODES,
+        default: 'nearest'
+    }
+}, { _id: false });
+
+
 const SettingsSchema = new mongoose.Schema({
     dollar_price: {
         type: Number,
         required: true,
         default: 0
     },
+    price_rounding: {
+        type: PriceRoundingSchema,
+        default: {}
+    },
     sub_category_id: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'sub_category',
@@ -63,6 +83,11 @@ const SettingsSchema = new mongoose.Schema({
         type: SocialMediaSchema,
         default: {}
     },
+    // which of the whatsapp accounts the next order hand-off goes to
+    whatsapp_rotation: {
+        type: Number,
+        default: 0
+    },
     createdAt: {
         type: Date,
         default: Date.now,
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+const StockMovementSchema = new mongoose.Schema({
+    item_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'item',
+        required: true,
+    },
+    // set when the movement is about one variant of the item
+    variant_id: {
+        type: mongoose.Schema.Types.ObjectId,
+    },
+    type: {
+        type: String,
+        enum: ['received', 'sold', 'adjusted', 'returned'],
+        required: true,
+    },
+    // signed change of the stock, negative for sold items
+    quantity: {
+        type: Number,
+        required: true,
+    },
+    stock_after: {
+        type: Number,
+    },
+    reason: {
+        type: String,
+    },
+    user_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'user',
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+
+}, {
+    toJSON: {
+        transform: function (doc, ret) {
+            delete ret.__v;
+            return ret;
+        }
+    }
+});
+
+StockMovementSchema.index({item_id: 1, createdAt: -1});
+
+const StockMovementModel = mongoose.model('stock_movement', StockMovementSchema);
+
+module.exports = StockMovementModel;
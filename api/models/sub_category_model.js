@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const AttributeSchema = require("./attribute_schema");
 
 
 const SubCategory = new mongoose.Schema({
@@ -16,6 +17,11 @@ const SubCategory = new mongoose.Schema({
         ref: "category",
     },
 
+    // added to the attributes of the main category, replacing the ones with the same key
+    attributes: {
+        type: [AttributeSchema],
+    },
+
     createdAt: {
         type: Date,
         default: Date.now,
@@ -1,5 +1,42 @@
 const mongoose = require('mongoose');
 const bcrypt = require("bcryptjs");
+const {ROLES, PERMISSIONS} = require("../helpers/role_helpers");
+
+const TwoFactorSchema = new mongoose.Schema({
+    enabled: {
+        type: Boolean,
+        default: false
+    },
+    secret: {
+        type: String,
+    },
+    // waiting for the first valid code before it replaces `secret`
+    pending_secret: {
+        type: String,
+    },
+    // sha256 of the unused recovery codes
+    recovery_codes: {
+        type: [String],
+        default: []
+    },
+    // the last accepted time step, a code can't be used twice
+    last_used_step: {
+        type: Number,
+        default: 0
+    }
+}, { _id: false });
+
+const PasswordResetSchema = new mongoose.Schema({
+    token_hash: {
+        type: String,
+    },
+    expires_at: {
+        type: Date,
+    }
+}, { _id: false });
+
+const PASSWORD_MIN_LENGTH = 8;
+
 const UserSChema = new mongoose.Schema({
     user_name: {
         type: String,
@@ -10,8 +47,22 @@ const UserSChema = new mongoose.Schema({
         required: true,
     },
     role: {
-        type: Number,
-        default: 0
+        type: String,
+        enum: ROLES,
+        default: 'viewer'
+    },
+    // granted on top of the permissions of the role
+    permissions: {
+        type: [{type: String, enum: PERMISSIONS}],
+        default: []
+    },
+    two_factor: {
+        type: TwoFactorSchema,
+        default: {}
+    },
+    // single-use token handed out by an admin, cleared once redeemed
+    password_reset: {
+        type: PasswordResetSchema,
     }
 
 
@@ -20,6 +71,9 @@ const UserSChema = new mongoose.Schema({
         transform: function (doc, ret) {
             delete ret.__v;
             delete ret.password;
+            ret.two_factor_enabled = Boolean(ret.two_factor && ret.two_factor.enabled);
+            delete ret.two_factor;
+            delete ret.password_reset;
             return ret;
         }
     }
@@ -28,6 +82,10 @@ const UserSChema = new mongoose.Schema({
 UserSChema.pre('save', async function (next) {
     if (!this.isModified('password')) return next();
 
+    const password = String(this.password);
+    if (password.length < PASSWORD_MIN_LENGTH || !/[a-zA-Z]/.test(password) || !/\d/.test(password))
+        return next(new Error(`Password must be at least ${PASSWORD_MIN_LENGTH} characters and contain letters and numbers`));
+
     const salt = await bcrypt.genSalt(10);
     this.password = await bcrypt.hash(this.password, salt);
     next();
@@ -0,0 +1,108 @@
+const express = require("express");
+const AuditController = require("../controllers/audit_controller.js");
+const auth = require("../middlewares/admin_auth.js")
+
+const auditRouter = express.Router();
+
+/**
+ * @openapi
+ * tags:
+ *   name: Audit
+ *   description: Log of every change made through the admin endpoints
+ */
+
+/**
+ * @openapi
+ * /audit:
+ *   get:
+ *     summary: List audit log entries, newest first
+ *     tags: [Audit]
+ *     parameters:
+ *       - name: user_id
+ *         in: query
+ *         description: Only changes made by this user
+ *         schema:
+ *           type: string
+ *       - name: entity
+ *         in: query
+ *         description: Only changes to this kind of entity
+ *         schema:
+ *           type: string
+ *           enum: [item, category, sub_category, faq, settings, user]
+ *       - name: entity_id
+ *         in: query
+ *         description: Only changes to this entity
+ *         schema:
+ *           type: string
+ *       - name: from
+ *         in: query
+ *         description: Start of the date range
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - name: to
+ *         in: query
+ *         description: End of the date range
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - name: cursor
+ *         in: query
+ *         description: Cursor for pagination, the last entry's ID from the previous page
+ *         schema:
+ *           type: string
+ *       - name: limit
+ *         in: query
+ *         description: Number of entries per page (default 50)
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: A page of audit log entries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     logs:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           _id:
+ *                             type: string
+ *                           user_id:
+ *                             type: string
+ *                           user_name:
+ *                             type: string
+ *                           route:
+ *                             type: string
+ *                             example: "PUT /item/67838759c886a879a8ffc617"
+ *                           entity:
+ *                             type: string
+ *                           entity_id:
+ *                             type: string
+ *                           action:
+ *                             type: string
+ *                             enum: [create, update, delete]
+ *                           diff:
+ *                             type: object
+ *                             example: { price: { before: 25, after: 30 } }
+ *                           createdAt:
+ *                             type: string
+ *                             format: date-time
+ *                     cursor:
+ *                       type: string
+ *       404:
+ *         description: No audit logs found
+ *       400:
+ *         description: Bad request
+ */
+auditRouter.get("/", auth.requirePermission("audit:read"), AuditController.index);
+
+module.exports = auditRouter;
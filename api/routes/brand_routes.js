@@ -0,0 +1,176 @@
+const express = require("express");
+const brandController = require("../controllers/brand_controller.js");
+const brandRouter = express.Router();
+const busboy = require("../middlewares/busboy_middleware");
+const auth = require("../middlewares/admin_auth.js")
+
+/**
+ * @openapi
+ * tags:
+ *   name: Brand
+ *   description: Brand management
+ */
+
+/**
+ * @openapi
+ * /brand:
+ *   post:
+ *     summary: Create a new brand
+ *     tags: [Brand]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: The name of the brand
+ *               description:
+ *                 type: string
+ *                 description: A description of the brand
+ *               logo:
+ *                 type: string
+ *                 format: binary
+ *                 description: The logo of the brand
+ *             required:
+ *               - name
+ *     responses:
+ *       201:
+ *         description: Brand created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 name:
+ *                   type: string
+ *                 description:
+ *                   type: string
+ *                 logo:
+ *                   type: string
+ *       400:
+ *         description: Bad request
+ */
+brandRouter.post('/', auth.requirePermission("category:write"), busboy.bus, brandController.create);
+
+/**
+ * @openapi
+ * /brand:
+ *   get:
+ *     summary: Retrieve all brands, sorted by name
+ *     tags: [Brand]
+ *     responses:
+ *       200:
+ *         description: Brands retrieved successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "returned successfully"
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       _id:
+ *                         type: string
+ *                         example: "63f13d3f88eac2b67c1e3d9a"
+ *                       name:
+ *                         type: string
+ *                         example: "Vaporesso"
+ *                       description:
+ *                         type: string
+ *                       logo:
+ *                         type: string
+ *                         example: "https://res.cloudinary.com/dkqzjz4yv/image/upload/v1694534841/brand.png"
+ *       404:
+ *         description: No brands found.
+ */
+brandRouter.get("/", brandController.index);
+
+/**
+ * @openapi
+ * /brand/{id}:
+ *   get:
+ *     summary: Retrieve a brand by ID
+ *     tags: [Brand]
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Brand retrieved successfully.
+ *       404:
+ *         description: Brand not found
+ */
+brandRouter.get("/:id", brandController.get);
+
+/**
+ * @openapi
+ * /brand/{id}:
+ *   put:
+ *     summary: Update a brand by ID
+ *     tags: [Brand]
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               logo:
+ *                 type: string
+ *                 format: binary
+ *                 description: A new logo, replaces the old one
+ *     responses:
+ *       200:
+ *         description: Brand updated successfully
+ *       400:
+ *         description: Bad request
+ *       404:
+ *         description: Brand not found
+ */
+brandRouter.put("/:id", auth.requirePermission("category:write"), busboy.bus, brandController.update);
+
+/**
+ * @openapi
+ * /brand/{id}:
+ *   delete:
+ *     summary: Delete a brand by ID
+ *     description: Brands that items still belong to can not be deleted.
+ *     tags: [Brand]
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Brand deleted successfully
+ *       400:
+ *         description: The brand is used by items
+ *       404:
+ *         description: Brand not found
+ */
+brandRouter.delete("/:id", auth.requirePermission("category:write"), brandController.remove);
+
+module.exports = brandRouter;
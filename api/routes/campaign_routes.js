@@ -0,0 +1,151 @@
+const express = require("express");
+const CampaignController = require("../controllers/campaign_controller.js");
+const auth = require("../middlewares/admin_auth.js")
+
+const campaignRouter = express.Router();
+
+/**
+ * @openapi
+ * tags:
+ *   name: Campaign
+ *   description: Scheduled discounts and flash sales
+ */
+
+/**
+ * @openapi
+ * /campaign:
+ *   get:
+ *     summary: List the discount campaigns, latest start first
+ *     tags: [Campaign]
+ *     parameters:
+ *       - name: status
+ *         in: query
+ *         description: Only the running, upcoming or finished campaigns
+ *         schema:
+ *           type: string
+ *           enum: [active, scheduled, ended]
+ *     responses:
+ *       200:
+ *         description: The campaigns
+ *       404:
+ *         description: No campaigns found
+ */
+campaignRouter.get("/", auth.authenticate, CampaignController.index);
+
+/**
+ * @openapi
+ * /campaign:
+ *   post:
+ *     summary: Create a discount campaign
+ *     description: While a campaign runs, the items it targets show whichever of their own discount and the campaign discount gives the lower price.
+ *     tags: [Campaign]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, type, value, starts_at, ends_at, scope]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Weekend flash sale
+ *               type:
+ *                 type: string
+ *                 enum: [percentage, fixed]
+ *               value:
+ *                 type: number
+ *                 description: Percent off, or an amount in dollars off
+ *                 example: 15
+ *               starts_at:
+ *                 type: string
+ *                 format: date-time
+ *               ends_at:
+ *                 type: string
+ *                 format: date-time
+ *               scope:
+ *                 type: string
+ *                 enum: [item, sub_category, main_category, store]
+ *               target_ids:
+ *                 type: array
+ *                 description: The items or categories of the scope, not used for the whole store
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       201:
+ *         description: Campaign created successfully
+ *       400:
+ *         description: Invalid dates, discount value or targets
+ */
+campaignRouter.post("/", auth.requirePermission("item:write"), CampaignController.create);
+
+/**
+ * @openapi
+ * /campaign/{id}:
+ *   put:
+ *     summary: Update a discount campaign
+ *     tags: [Campaign]
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 enum: [percentage, fixed]
+ *               value:
+ *                 type: number
+ *               starts_at:
+ *                 type: string
+ *                 format: date-time
+ *               ends_at:
+ *                 type: string
+ *                 format: date-time
+ *               scope:
+ *                 type: string
+ *                 enum: [item, sub_category, main_category, store]
+ *               target_ids:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Campaign updated successfully
+ *       400:
+ *         description: Invalid dates, discount value or targets
+ *       404:
+ *         description: Campaign not found
+ */
+campaignRouter.put("/:id", auth.requirePermission("item:write"), CampaignController.update);
+
+/**
+ * @openapi
+ * /campaign/{id}:
+ *   delete:
+ *     summary: Delete a discount campaign
+ *     tags: [Campaign]
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Campaign deleted successfully
+ *       404:
+ *         description: Campaign not found
+ */
+campaignRouter.delete("/:id", auth.requirePermission("item:write"), CampaignController.remove);
+
+module.exports = campaignRouter;
@@ -0,0 +1,373 @@
+const express = require("express");
+const CartController = require("../controllers/cart_controller.js");
+
+const cartRouter = express.Router();
+
+/**
+ * @openapi
+ * tags:
+ *   name: Cart
+ *   description: Anonymous shopping carts, identified by the cart-token header
+ */
+
+/**
+ * @openapi
+ * /cart:
+ *   post:
+ *     summary: Create an empty cart
+ *     description: The token in the response is the only way to reach the cart again, send it in the cart-token header. Carts expire CART_EXPIRES_DAYS after their last change.
+ *     tags: [Cart]
+ *     parameters:
+ *       - name: currency
+ *         in: query
+ *         schema:
+ *           type: string
+ *     responses:
+ *       201:
+ *         description: The cart and its token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   example: {
+ *                     token: "5f0c1e2d...",
+ *                     cart: { _id: "67838759c886a879a8ffc617", lines: [], total: 0, local_total: 0, rate: 15000, currency: null, has_unavailable: false }
+ *                   }
+ */
+cartRouter.post("/", CartController.create);
+
+/**
+ * @openapi
+ * /cart:
+ *   get:
+ *     summary: Get the cart with its lines priced at the current prices
+ *     description: Every read resolves the prices from the items, with their discounts, the running campaigns and the dollar price. The total takes the coupon off the subtotal of the items and adds the fee of the picked delivery zone. A coupon that stopped applying stays on the cart with its error and takes nothing off. Lines that can not be bought have an unavailable reason (deleted, hidden, variant_required, variant_removed, not_available, no_price, out_of_stock, not_enough_stock) and are left out of the totals.
+ *     tags: [Cart]
+ *     parameters:
+ *       - name: cart-token
+ *         in: header
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: currency
+ *         in: query
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The cart
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   example: {
+ *                     _id: "67838759c886a879a8ffc617",
+ *                     lines: [{
+ *                       _id: "67838759c886a879a8ffc618",
+ *                       item_id: "67838759c886a879a8ffc619",
+ *                       variant_id: null,
+ *                       quantity: 2,
+ *                       unavailable: null,
+ *                       name: "Xros 3",
+ *                       price: 25,
+ *                       unit_price: 22.5,
+ *                       local_unit_price: 337500,
+ *                       line_total: 45,
+ *                       local_line_total: 675000
+ *                     }],
+ *                     subtotal: 45,
+ *                     local_subtotal: 675000,
+ *                     coupon: null,
+ *                     delivery: { zone_id: "67838759c886a879a8ffc630", name: "Mezzeh", ar_name: "المزة", estimated_time: "1-2 hours", fee: 2, local_fee: 30000, free_shipping_threshold: 50, is_free: false },
+ *                     total: 47,
+ *                     local_total: 705000,
+ *                     rate: 15000,
+ *                     has_unavailable: false
+ *                   }
+ *       404:
+ *         description: Cart not found
+ */
+cartRouter.get("/", CartController.get);
+
+/**
+ * @openapi
+ * /cart/whatsapp:
+ *   get:
+ *     summary: Get a bilingual summary of the cart to send on WhatsApp
+ *     description: Unavailable lines are left out. Each cart is handed to the next WhatsApp account of the settings once and keeps that account, also for the order placed from it, so the customers are spread over all of them.
+ *     tags: [Cart]
+ *     parameters:
+ *       - name: cart-token
+ *         in: header
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The message and a wa.me link for every WhatsApp account, primary is the one to open
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   example: {
+ *                     reference: "C-8FFC617",
+ *                     message: "أريد طلب / I would like to order\nالمرجع / Reference: C-8FFC617\n\n• إكسروس 3 / Xros 3 × 2 = 675,000 ل.س / SYP\n\nالمجموع / Total: 675,000 ل.س / SYP",
+ *                     primary: { name: "Sales", phone_number: "+963944123456", link: "https://wa.me/963944123456?text=..." },
+ *                     links: [
+ *                       { name: "Sales", phone_number: "+963944123456", link: "https://wa.me/963944123456?text=..." },
+ *                       { name: "Support", phone_number: "+963955654321", link: "https://wa.me/963955654321?text=..." }
+ *                     ]
+ *                   }
+ *       400:
+ *         description: The cart is empty or nothing in it is available
+ *       404:
+ *         description: Cart not found or no WhatsApp accounts configured
+ */
+cartRouter.get("/whatsapp", CartController.whatsapp);
+
+/**
+ * @openapi
+ * /cart/lines:
+ *   post:
+ *     summary: Add an item to the cart
+ *     description: Adding an item (and variant) that is already in the cart raises the quantity of its line.
+ *     tags: [Cart]
+ *     parameters:
+ *       - name: cart-token
+ *         in: header
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: currency
+ *         in: query
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [item_id]
+ *             properties:
+ *               item_id:
+ *                 type: string
+ *               variant_id:
+ *                 type: string
+ *                 description: Required for items with variants
+ *               quantity:
+ *                 type: integer
+ *                 default: 1
+ *     responses:
+ *       201:
+ *         description: The updated cart
+ *       400:
+ *         description: Invalid quantity, missing variant or not enough stock
+ *       404:
+ *         description: Cart, item or variant not found
+ */
+cartRouter.post("/lines", CartController.add_line);
+
+/**
+ * @openapi
+ * /cart/lines/{line_id}:
+ *   put:
+ *     summary: Change the quantity of a cart line
+ *     tags: [Cart]
+ *     parameters:
+ *       - name: line_id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: cart-token
+ *         in: header
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: currency
+ *         in: query
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [quantity]
+ *             properties:
+ *               quantity:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: The updated cart
+ *       400:
+ *         description: Invalid quantity or not enough stock
+ *       404:
+ *         description: Cart or line not found
+ */
+cartRouter.put("/lines/:line_id", CartController.update_line);
+
+/**
+ * @openapi
+ * /cart/delivery_zone:
+ *   put:
+ *     summary: Pick the delivery zone of the cart
+ *     description: The zone's fee is added to the cart total, or nothing once the subtotal reaches the zone's free shipping threshold. Send no delivery_zone_id to clear it.
+ *     tags: [Cart]
+ *     parameters:
+ *       - name: cart-token
+ *         in: header
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: currency
+ *         in: query
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               delivery_zone_id:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: The updated cart
+ *       404:
+ *         description: Cart or active delivery zone not found
+ */
+cartRouter.put("/delivery_zone", CartController.set_delivery_zone);
+
+/**
+ * @openapi
+ * /cart/coupon:
+ *   post:
+ *     summary: Apply a coupon code to the cart
+ *     description: The code is only kept when the coupon can be used on the cart as it is. The per phone limit is checked when the order is placed.
+ *     tags: [Cart]
+ *     parameters:
+ *       - name: cart-token
+ *         in: header
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: currency
+ *         in: query
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: INSTA10
+ *     responses:
+ *       200:
+ *         description: The cart with the coupon
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   example: {
+ *                     subtotal: 45,
+ *                     local_subtotal: 675000,
+ *                     coupon: { coupon_id: "67838759c886a879a8ffc640", code: "INSTA10", type: "percentage", value: 10, discount: 4.5, local_discount: 67500, error: null },
+ *                     delivery: null,
+ *                     total: 40.5,
+ *                     local_total: 607500
+ *                   }
+ *       400:
+ *         description: Invalid or expired code, usage limit reached, minimum not met, no matching items or empty cart
+ *       404:
+ *         description: Cart not found
+ */
+cartRouter.post("/coupon", CartController.add_coupon);
+
+/**
+ * @openapi
+ * /cart/coupon:
+ *   delete:
+ *     summary: Remove the coupon from the cart
+ *     tags: [Cart]
+ *     parameters:
+ *       - name: cart-token
+ *         in: header
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: currency
+ *         in: query
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The updated cart
+ *       404:
+ *         description: Cart not found
+ */
+cartRouter.delete("/coupon", CartController.remove_coupon);
+
+/**
+ * @openapi
+ * /cart/lines/{line_id}:
+ *   delete:
+ *     summary: Remove a line from the cart
+ *     tags: [Cart]
+ *     parameters:
+ *       - name: line_id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: cart-token
+ *         in: header
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: currency
+ *         in: query
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The updated cart
+ *       404:
+ *         description: Cart or line not found
+ */
+cartRouter.delete("/lines/:line_id", CartController.remove_line);
+
+module.exports = cartRouter;
@@ -61,7 +61,7 @@ const auth = require("../middlewares/admin_auth.js")
  *                 message:
  *                   type: string
  */
-categoryRouter.post('/',auth.is_admin, busboy.bus, categoryController.create);
+categoryRouter.post('/',auth.requirePermission("category:write"), busboy.bus, categoryController.create);
 
 /**
  * @openapi
@@ -151,7 +151,7 @@ categoryRouter.get("/", categoryController.index);
  *                 message:
  *                   type: string
  */
-categoryRouter.delete("/:id", auth.is_admin,categoryController.remove);
+categoryRouter.delete("/:id", auth.requirePermission("category:write"),categoryController.remove);
 
 /**
  * @openapi
@@ -205,7 +205,7 @@ categoryRouter.delete("/:id", auth.is_admin,categoryController.remove);
  *                 message:
  *                   type: string
  */
-categoryRouter.put("/:id",auth.is_admin, busboy.bus, categoryController.update);
+categoryRouter.put("/:id",auth.requirePermission("category:write"), busboy.bus, categoryController.update);
 
 
 /**
@@ -274,4 +274,60 @@ categoryRouter.put("/:id",auth.is_admin, busboy.bus, categoryController.update);
  */
 categoryRouter.get("/:id", categoryController.get);
 
+/**
+ * @openapi
+ * /category/{id}/attributes:
+ *   put:
+ *     summary: Replace the attribute definitions of the items in a category
+ *     description: Existing item values are checked against the new definitions the next time the item attributes are written.
+ *     tags: [Category]
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               attributes:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required: [key, type]
+ *                   properties:
+ *                     key:
+ *                       type: string
+ *                       description: Lowercase letters, digits and underscores, used in the attr. filters
+ *                       example: ohm
+ *                     label:
+ *                       type: string
+ *                     ar_label:
+ *                       type: string
+ *                     type:
+ *                       type: string
+ *                       enum: [number, string, boolean, enum]
+ *                     values:
+ *                       type: array
+ *                       description: The allowed values of an enum attribute
+ *                       items:
+ *                         type: string
+ *                     unit:
+ *                       type: string
+ *                     required:
+ *                       type: boolean
+ *     responses:
+ *       200:
+ *         description: Attributes updated successfully
+ *       400:
+ *         description: Invalid attribute definitions
+ *       404:
+ *         description: Category not found
+ */
+categoryRouter.put("/:id/attributes", auth.requirePermission("category:write"), categoryController.set_attributes);
+
 module.exports = categoryRouter;
\ No newline at end of file
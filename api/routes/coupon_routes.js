@@ -0,0 +1,255 @@
+const express = require("express");
+const CouponController = require("../controllers/coupon_controller.js");
+const auth = require("../middlewares/admin_auth.js")
+
+const couponRouter = express.Router();
+
+/**
+ * @openapi
+ * tags:
+ *   name: Coupon
+ *   description: Promo codes customers enter in the cart
+ */
+
+/**
+ * @openapi
+ * /coupon:
+ *   get:
+ *     summary: List the coupons, newest first
+ *     tags: [Coupon]
+ *     responses:
+ *       200:
+ *         description: The coupons
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   example: [{
+ *                     _id: "67838759c886a879a8ffc640",
+ *                     code: "INSTA10",
+ *                     type: "percentage",
+ *                     value: 10,
+ *                     min_order_amount: 30,
+ *                     scope: "store",
+ *                     target_ids: [],
+ *                     ends_at: "2025-02-01T00:00:00.000Z",
+ *                     usage_limit: 100,
+ *                     per_phone_limit: 1,
+ *                     used_count: 12,
+ *                     is_active: true
+ *                   }]
+ *       404:
+ *         description: No coupons yet
+ */
+couponRouter.get("/", auth.requirePermission("coupon:read"), CouponController.index);
+
+/**
+ * @openapi
+ * /coupon/{id}:
+ *   get:
+ *     summary: Get a coupon
+ *     tags: [Coupon]
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The coupon
+ *       404:
+ *         description: Coupon not found
+ */
+couponRouter.get("/:id", auth.requirePermission("coupon:read"), CouponController.get);
+
+/**
+ * @openapi
+ * /coupon/{id}/redemptions:
+ *   get:
+ *     summary: List the orders placed with a coupon, newest first
+ *     tags: [Coupon]
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: cursor
+ *         in: query
+ *         description: The _id of the last redemption of the previous page
+ *         schema:
+ *           type: string
+ *       - name: limit
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: The redemptions, with the order, the customer phone and the dollars taken off
+ *       404:
+ *         description: Coupon not found
+ */
+couponRouter.get("/:id/redemptions", auth.requirePermission("coupon:read"), CouponController.redemptions);
+
+/**
+ * @openapi
+ * /coupon:
+ *   post:
+ *     summary: Create a coupon
+ *     tags: [Coupon]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code, type, value]
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 description: Matched without regard to case
+ *                 example: INSTA10
+ *               type:
+ *                 type: string
+ *                 enum: [percentage, fixed]
+ *               value:
+ *                 type: number
+ *                 description: Percent off, or an amount in dollars off
+ *                 example: 10
+ *               min_order_amount:
+ *                 type: number
+ *                 description: Dollars the items have to add up to, before the coupon and the delivery fee
+ *                 example: 30
+ *               scope:
+ *                 type: string
+ *                 enum: [item, sub_category, main_category, store]
+ *                 default: store
+ *               target_ids:
+ *                 type: array
+ *                 description: The items or categories of the scope, not used for the whole store
+ *                 items:
+ *                   type: string
+ *               starts_at:
+ *                 type: string
+ *                 format: date-time
+ *               ends_at:
+ *                 type: string
+ *                 format: date-time
+ *               usage_limit:
+ *                 type: integer
+ *                 description: Orders that may use the coupon in total
+ *                 example: 100
+ *               per_phone_limit:
+ *                 type: integer
+ *                 description: Orders that may use the coupon per customer phone
+ *                 example: 1
+ *               is_active:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       201:
+ *         description: Coupon created successfully
+ *       400:
+ *         description: Code taken, invalid dates, discount value or targets
+ */
+couponRouter.post("/", auth.requirePermission("coupon:write"), CouponController.create);
+
+/**
+ * @openapi
+ * /coupon/{id}:
+ *   put:
+ *     summary: Update a coupon
+ *     description: The code can not be changed.
+ *     tags: [Coupon]
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [percentage, fixed]
+ *               value:
+ *                 type: number
+ *                 description: Percent off, or an amount in dollars off
+ *                 example: 10
+ *               min_order_amount:
+ *                 type: number
+ *                 description: Dollars the items have to add up to, before the coupon and the delivery fee
+ *                 example: 30
+ *               scope:
+ *                 type: string
+ *                 enum: [item, sub_category, main_category, store]
+ *                 default: store
+ *               target_ids:
+ *                 type: array
+ *                 description: The items or categories of the scope, not used for the whole store
+ *                 items:
+ *                   type: string
+ *               starts_at:
+ *                 type: string
+ *                 format: date-time
+ *               ends_at:
+ *                 type: string
+ *                 format: date-time
+ *               usage_limit:
+ *                 type: integer
+ *                 description: Orders that may use the coupon in total
+ *                 example: 100
+ *               per_phone_limit:
+ *                 type: integer
+ *                 description: Orders that may use the coupon per customer phone
+ *                 example: 1
+ *               is_active:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       200:
+ *         description: Coupon updated successfully
+ *       400:
+ *         description: Invalid dates, discount value or targets
+ *       404:
+ *         description: Coupon not found
+ */
+couponRouter.put("/:id", auth.requirePermission("coupon:write"), CouponController.update);
+
+/**
+ * @openapi
+ * /coupon/{id}:
+ *   delete:
+ *     summary: Delete a coupon
+ *     description: Coupons that orders were placed with can only be deactivated.
+ *     tags: [Coupon]
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Coupon deleted successfully
+ *       400:
+ *         description: The coupon has been used
+ *       404:
+ *         description: Coupon not found
+ */
+couponRouter.delete("/:id", auth.requirePermission("coupon:write"), CouponController.remove);
+
+module.exports = couponRouter;
@@ -0,0 +1,132 @@
+const express = require("express");
+const CurrencyController = require("../controllers/currency_controller.js");
+const auth = require("../middlewares/admin_auth.js")
+
+const currencyRouter = express.Router();
+
+/**
+ * @openapi
+ * tags:
+ *   name: Currency
+ *   description: Currencies the item prices can be shown in
+ */
+
+/**
+ * @openapi
+ * /currency:
+ *   get:
+ *     summary: List the currencies
+ *     description: USD is the base currency of the stored prices and SYP uses the dollar price from the settings, both are always listed first.
+ *     tags: [Currency]
+ *     responses:
+ *       200:
+ *         description: The currencies
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   example: [
+ *                     { code: "USD", symbol: "$", rate: 1, precision: 2 },
+ *                     { code: "SYP", symbol: "ل.س", rate: 15000, precision: 0 },
+ *                     { _id: "67838759c886a879a8ffc617", code: "TRY", symbol: "₺", rate: 34.5, precision: 2, createdAt: "2025-01-12T09:11:53.993Z" }
+ *                   ]
+ */
+currencyRouter.get("/", CurrencyController.index);
+
+/**
+ * @openapi
+ * /currency:
+ *   post:
+ *     summary: Add a currency
+ *     tags: [Currency]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code, rate]
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: EUR
+ *               symbol:
+ *                 type: string
+ *                 example: €
+ *               rate:
+ *                 type: number
+ *                 description: How much of the currency one dollar buys
+ *                 example: 0.92
+ *               precision:
+ *                 type: integer
+ *                 description: Decimal places of the converted prices (default 2)
+ *     responses:
+ *       201:
+ *         description: Currency created successfully
+ *       400:
+ *         description: Invalid currency, the currency already exists or is USD/SYP
+ */
+currencyRouter.post("/", auth.requirePermission("settings:dollar"), CurrencyController.create);
+
+/**
+ * @openapi
+ * /currency/{code}:
+ *   put:
+ *     summary: Update a currency
+ *     tags: [Currency]
+ *     parameters:
+ *       - name: code
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               symbol:
+ *                 type: string
+ *               rate:
+ *                 type: number
+ *               precision:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Currency updated successfully
+ *       400:
+ *         description: Invalid input
+ *       404:
+ *         description: Currency not found
+ */
+currencyRouter.put("/:code", auth.requirePermission("settings:dollar"), CurrencyController.update);
+
+/**
+ * @openapi
+ * /currency/{code}:
+ *   delete:
+ *     summary: Remove a currency
+ *     tags: [Currency]
+ *     parameters:
+ *       - name: code
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Currency removed successfully
+ *       404:
+ *         description: Currency not found
+ */
+currencyRouter.delete("/:code", auth.requirePermission("settings:dollar"), CurrencyController.remove);
+
+module.exports = currencyRouter;
@@ -0,0 +1,178 @@
+const express = require("express");
+const DeliveryZoneController = require("../controllers/delivery_zone_controller.js");
+const auth = require("../middlewares/admin_auth.js")
+
+const deliveryZoneRouter = express.Router();
+
+/**
+ * @openapi
+ * tags:
+ *   name: DeliveryZone
+ *   description: The areas the store delivers to and their fees
+ */
+
+/**
+ * @openapi
+ * /delivery_zone:
+ *   get:
+ *     summary: List the delivery zones by name
+ *     tags: [DeliveryZone]
+ *     parameters:
+ *       - name: include_inactive
+ *         in: query
+ *         description: Whether to include the zones that are turned off
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *     responses:
+ *       200:
+ *         description: The delivery zones
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   example: [{
+ *                     _id: "67838759c886a879a8ffc630",
+ *                     name: "Mezzeh",
+ *                     ar_name: "المزة",
+ *                     fee: 2,
+ *                     free_shipping_threshold: 50,
+ *                     estimated_time: "1-2 hours",
+ *                     is_active: true
+ *                   }]
+ *       404:
+ *         description: No delivery zones yet
+ */
+deliveryZoneRouter.get("/", DeliveryZoneController.index);
+
+/**
+ * @openapi
+ * /delivery_zone/{id}:
+ *   get:
+ *     summary: Get a delivery zone
+ *     tags: [DeliveryZone]
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The delivery zone
+ *       404:
+ *         description: Delivery zone not found
+ */
+deliveryZoneRouter.get("/:id", DeliveryZoneController.get);
+
+/**
+ * @openapi
+ * /delivery_zone:
+ *   post:
+ *     summary: Create a delivery zone
+ *     tags: [DeliveryZone]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, ar_name, fee]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Mezzeh
+ *               ar_name:
+ *                 type: string
+ *                 example: المزة
+ *               fee:
+ *                 type: number
+ *                 description: In dollars
+ *                 example: 2
+ *               free_shipping_threshold:
+ *                 type: number
+ *                 description: Cart subtotal in dollars from which the delivery is free
+ *                 example: 50
+ *               estimated_time:
+ *                 type: string
+ *                 example: 1-2 hours
+ *               is_active:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       201:
+ *         description: Delivery zone created successfully
+ *       400:
+ *         description: Missing name or invalid fee
+ */
+deliveryZoneRouter.post("/", auth.requirePermission("delivery:write"), DeliveryZoneController.create);
+
+/**
+ * @openapi
+ * /delivery_zone/{id}:
+ *   put:
+ *     summary: Update a delivery zone
+ *     tags: [DeliveryZone]
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               ar_name:
+ *                 type: string
+ *               fee:
+ *                 type: number
+ *               free_shipping_threshold:
+ *                 type: number
+ *               estimated_time:
+ *                 type: string
+ *               is_active:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Delivery zone updated successfully
+ *       400:
+ *         description: Invalid fee
+ *       404:
+ *         description: Delivery zone not found
+ */
+deliveryZoneRouter.put("/:id", auth.requirePermission("delivery:write"), DeliveryZoneController.update);
+
+/**
+ * @openapi
+ * /delivery_zone/{id}:
+ *   delete:
+ *     summary: Delete a delivery zone
+ *     description: Placed orders keep their copy of the zone and its fee.
+ *     tags: [DeliveryZone]
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Delivery zone deleted successfully
+ *       404:
+ *         description: Delivery zone not found
+ */
+deliveryZoneRouter.delete("/:id", auth.requirePermission("delivery:write"), DeliveryZoneController.remove);
+
+module.exports = deliveryZoneRouter;
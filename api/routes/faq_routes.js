@@ -85,7 +85,7 @@ const auth = require("../middlewares/admin_auth.js")
  *                   type: string
  *                   description: Error message describing the issue
  */
-faqRouter.post('/', auth.is_admin, busboy.bus, faqController.create);
+faqRouter.post('/', auth.requirePermission("faq:write"), busboy.bus, faqController.create);
 
 /**
  * @openapi
@@ -178,7 +178,7 @@ faqRouter.get('/', faqController.index);
  *                   type: string
  *                   description: Error message describing the issue
  */
-faqRouter.delete('/:faq_id/', auth.is_admin, faqController.remove);
+faqRouter.delete('/:faq_id/', auth.requirePermission("faq:write"), faqController.remove);
 
 /**
  * @openapi
@@ -326,7 +326,7 @@ faqRouter.get('/:faq_id/', faqController.get);
  *                   type: string
  *                   description: Error message describing the issue
  */
-faqRouter.put('/:faq_id/:index', auth.is_admin, busboy.bus, faqController.edit_faq_photo);
+faqRouter.put('/:faq_id/:index', auth.requirePermission("faq:write"), busboy.bus, faqController.edit_faq_photo);
 
 /**
  * @openapi
@@ -371,7 +371,7 @@ faqRouter.put('/:faq_id/:index', auth.is_admin, busboy.bus, faqController.edit_f
  *                   type: string
  *                   description: Error message describing the issue
  */
-faqRouter.delete('/:faq_id/:index', auth.is_admin, faqController.remove_faq_photo);
+faqRouter.delete('/:faq_id/:index', auth.requirePermission("faq:write"), faqController.remove_faq_photo);
 
 /**
  * @openapi
@@ -454,7 +454,7 @@ faqRouter.delete('/:faq_id/:index', auth.is_admin, faqController.remove_faq_phot
  *                   type: string
  *                   description: Error message describing the issue
  */
-faqRouter.post('/:faq_id/', auth.is_admin, busboy.bus, faqController.add_faq_photo);
+faqRouter.post('/:faq_id/', auth.requirePermission("faq:write"), busboy.bus, faqController.add_faq_photo);
 
 /**
  * @openapi
@@ -538,7 +538,7 @@ faqRouter.post('/:faq_id/', auth.is_admin, busboy.bus, faqController.add_faq_pho
  *                   type: string
  *                   description: Error message describing the issue
  */
-faqRouter.put('/:faq_id/', auth.is_admin, faqController.update);
+faqRouter.put('/:faq_id/', auth.requirePermission("faq:write"), faqController.update);
 
 
 
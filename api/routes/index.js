@@ -5,6 +5,14 @@ const itemRouter = require("./item_routes");
 const UserRouter = require("./user_routes");
 const settingsRouter = require("./settings_routes");
 const faqRouter = require("./faq_routes")
+const auditRouter = require("./audit_routes");
+const currencyRouter = require("./currency_routes");
+const campaignRouter = require("./campaign_routes");
+const brandRouter = require("./brand_routes");
+const cartRouter = require("./cart_routes");
+const orderRouter = require("./order_routes");
+const deliveryZoneRouter = require("./delivery_zone_routes");
+const couponRouter = require("./coupon_routes");
 const router = express.Router();
 
 router.use("/category", categoryRouter);
@@ -13,6 +21,14 @@ router.use("/item", itemRouter);
 router.use("/user", UserRouter);
 router.use("/settings", settingsRouter);
 router.use("/faq",faqRouter)
+router.use("/audit", auditRouter);
+router.use("/currency", currencyRouter);
+router.use("/campaign", campaignRouter);
+router.use("/brand", brandRouter);
+router.use("/cart", cartRouter);
+router.use("/order", orderRouter);
+router.use("/delivery_zone", deliveryZoneRouter);
+router.use("/coupon", couponRouter);
 
 
 module.exports = router;
\ No newline at end of file
@@ -41,16 +41,29 @@ const itemRouter = express.Router();
  *               discount:
  *                 type: number
  *                 format: float
- *                 description: The discount on the item (optional)
+ *                 description: The discount on the item (optional), a percentage or an amount in dollars depending on discount_type
+ *               discount_type:
+ *                 type: string
+ *                 enum: [percentage, fixed]
+ *                 default: percentage
  *               is_hidden:
  *                 type: boolean
  *                 description: Whether the item should be hidden from regular listings
+ *               low_stock_threshold:
+ *                 type: integer
+ *                 description: Stock at or below which the item is listed as low stock (defaults to LOW_STOCK_THRESHOLD)
+ *               fixed_local_price:
+ *                 type: number
+ *                 description: A fixed price in SYP shown instead of the price converted with the dollar price (optional)
  *               main_category_id:
  *                 type: string
  *                 description: The ID of the main category the item belongs to
  *               sub_category_id:
  *                 type: string
  *                 description: The ID of the sub category the item belongs to
+ *               brand_id:
+ *                 type: string
+ *                 description: The ID of the brand of the item (optional)
  *               files:
  *                 type: array
  *                 items:
@@ -131,14 +144,17 @@ const itemRouter = express.Router();
  *               properties:
  *                 message:
  *                   type: string
+ *       404:
+ *         description: Brand not found
  */
-itemRouter.post('/', auth.is_admin, busboy.bus, ItemController.create);
+itemRouter.post('/', auth.requirePermission("item:write"), busboy.bus, ItemController.create);
 
 /**
  * @openapi
  * /item:
  *   get:
  *     summary: Get a list of items with optional filters and pagination
+ *     description: Every item and variant carries local_price and local_discounted_price in SYP, converted with the dollar price and rounded with the price rounding settings, or taken from the item's fixed_local_price. effective_discount is the item's own discount or the running campaign that gives the lower price, final_price the price after it. Attribute values are filtered with attr.<key>=<value> or attr.<key>[<op>]=<value>, op being one of eq, ne, lt, lte, gt, gte and in (comma separated), e.g. attr.ohm=0.8 or attr.nicotine_mg[lte]=6.
  *     tags: [Item]
  *     parameters:
  *       - name: main_category_id
@@ -151,21 +167,26 @@ itemRouter.post('/', auth.is_admin, busboy.bus, ItemController.create);
  *         description: The ID of the sub category
  *         schema:
  *           type: string
+ *       - name: brand_id
+ *         in: query
+ *         description: The ID of the brand
+ *         schema:
+ *           type: string
  *       - name: max_price
  *         in: query
- *         description: Maximum price of items
+ *         description: Maximum price of items, in the requested currency
  *         schema:
  *           type: number
  *           format: float
  *       - name: min_price
  *         in: query
- *         description: Minimum price of items
+ *         description: Minimum price of items, in the requested currency
  *         schema:
  *           type: number
  *           format: float
  *       - name: discount
  *         in: query
- *         description: Discount (0 = false, 1 = true)
+ *         description: Discount (0 = false, 1 = true), running campaigns count as a discount
  *         schema:
  *           type: integer
  *           enum: [0, 1]
@@ -175,9 +196,15 @@ itemRouter.post('/', auth.is_admin, busboy.bus, ItemController.create);
  *         schema:
  *           type: boolean
  *           default: false
+ *       - name: sort
+ *         in: query
+ *         description: Sort order, items come in creation order when it is missing. `name` sorts by the arabic name with arabic collation, `discount` puts the biggest effective discount first, running campaigns included and fixed amounts taken as a percent of the price
+ *         schema:
+ *           type: string
+ *           enum: [price_asc, price_desc, newest, discount, name]
  *       - name: cursor
  *         in: query
- *         description: Cursor for pagination, representing the last item's ID from the previous page
+ *         description: Cursor for pagination, the `cursor` returned with the previous page. Must be used with the same sort
  *         schema:
  *           type: string
  *       - name: limit
@@ -185,6 +212,11 @@ itemRouter.post('/', auth.is_admin, busboy.bus, ItemController.create);
  *         description: Number of items to retrieve per page
  *         schema:
  *           type: integer
+ *       - name: currency
+ *         in: query
+ *         description: Currency code (e.g. SYP, EUR) to convert the prices to, the prices are in USD without it
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
  *         description: A list of items with pagination
@@ -218,6 +250,14 @@ itemRouter.post('/', auth.is_admin, busboy.bus, ItemController.create);
  *                             type: number
  *                           is_hidden:
  *                             type: boolean
+ *                           price_range:
+ *                             type: object
+ *                             description: Lowest and highest price over the variants, the item's price when it has none
+ *                             properties:
+ *                               min:
+ *                                 type: number
+ *                               max:
+ *                                 type: number
  *                           images:
  *                             type: array
  *                             items:
@@ -256,6 +296,23 @@ itemRouter.post('/', auth.is_admin, busboy.bus, ItemController.create);
  *                     cursor:
  *                       type: string
  *                       description: Cursor for the next page of results
+ *                     facets:
+ *                       type: object
+ *                       properties:
+ *                         brands:
+ *                           type: array
+ *                           description: Item count per brand under the other filters, items without a brand are counted under a null brand_id
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               brand_id:
+ *                                 type: string
+ *                               name:
+ *                                 type: string
+ *                               count:
+ *                                 type: integer
+ *       400:
+ *         description: Invalid sort option or cursor
  *       404:
  *         description: No items found
  *         content:
@@ -277,6 +334,189 @@ itemRouter.post('/', auth.is_admin, busboy.bus, ItemController.create);
  */
 itemRouter.get("/", ItemController.index);
 
+/**
+ * @openapi
+ * /item/search:
+ *   get:
+ *     summary: Search items by name, arabic name and description
+ *     description: Arabic text is normalized before matching (hamza forms, taa marbuta, alef maqsura and diacritics are ignored). Every word of the query has to match, results are ordered by relevance and take the same filters as GET /item, the attr. filters included.
+ *     tags: [Item]
+ *     parameters:
+ *       - name: q
+ *         in: query
+ *         required: true
+ *         description: The search text
+ *         schema:
+ *           type: string
+ *       - name: main_category_id
+ *         in: query
+ *         description: The ID of the main category
+ *         schema:
+ *           type: string
+ *       - name: sub_category_id
+ *         in: query
+ *         description: The ID of the sub category
+ *         schema:
+ *           type: string
+ *       - name: brand_id
+ *         in: query
+ *         description: The ID of the brand
+ *         schema:
+ *           type: string
+ *       - name: max_price
+ *         in: query
+ *         description: Maximum price of items, in the requested currency
+ *         schema:
+ *           type: number
+ *           format: float
+ *       - name: min_price
+ *         in: query
+ *         description: Minimum price of items, in the requested currency
+ *         schema:
+ *           type: number
+ *           format: float
+ *       - name: discount
+ *         in: query
+ *         description: Discount (0 = false, 1 = true), running campaigns count as a discount
+ *         schema:
+ *           type: integer
+ *           enum: [0, 1]
+ *       - name: include_hidden
+ *         in: query
+ *         description: Whether to include hidden items in the results
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *       - name: limit
+ *         in: query
+ *         description: Number of items to return (default 20)
+ *         schema:
+ *           type: integer
+ *       - name: cursor
+ *         in: query
+ *         description: Cursor for pagination, the `cursor` returned with the previous page of the same search
+ *         schema:
+ *           type: string
+ *       - name: currency
+ *         in: query
+ *         description: Currency code (e.g. SYP, EUR) to convert the prices to, the prices are in USD without it
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Matching items, best match first, and the cursor of the next page
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     items:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                     cursor:
+ *                       type: string
+ *                       nullable: true
+ *       400:
+ *         description: Search query is required or invalid cursor
+ *       404:
+ *         description: No items found
+ *       500:
+ *         description: Server error
+ */
+itemRouter.get("/search", ItemController.search);
+
+/**
+ * @openapi
+ * /item/facets:
+ *   get:
+ *     summary: Count the items per category, brand, price range, discount and attribute value
+ *     description: Takes the same filters as GET /item, the attr. filters included. Every dimension is counted without its own filter so its other values stay selectable, e.g. the brand counts ignore brand_id. Price ranges are in the requested currency.
+ *     tags: [Item]
+ *     parameters:
+ *       - name: main_category_id
+ *         in: query
+ *         schema:
+ *           type: string
+ *       - name: sub_category_id
+ *         in: query
+ *         schema:
+ *           type: string
+ *       - name: brand_id
+ *         in: query
+ *         schema:
+ *           type: string
+ *       - name: max_price
+ *         in: query
+ *         schema:
+ *           type: number
+ *       - name: min_price
+ *         in: query
+ *         schema:
+ *           type: number
+ *       - name: discount
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           enum: [0, 1]
+ *       - name: include_hidden
+ *         in: query
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *       - name: currency
+ *         in: query
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The counts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   example: {
+ *                     total: 42,
+ *                     main_categories: [{ main_category_id: "67838759c886a879a8ffc617", name: "Devices", count: 30 }],
+ *                     sub_categories: [{ sub_category_id: "67838759c886a879a8ffc618", name: "Pods", count: 12 }],
+ *                     brands: [{ brand_id: "67838759c886a879a8ffc619", name: "Vaporesso", count: 9 }],
+ *                     price_ranges: [{ min: 10, max: 25, count: 14 }, { min: 250, max: null, count: 1 }],
+ *                     discount: { with: 5, without: 37 },
+ *                     attributes: { ohm: [{ value: 0.8, count: 6 }, { value: 1.2, count: 3 }] }
+ *                   }
+ *       400:
+ *         description: Unknown currency or invalid attribute filter
+ *       500:
+ *         description: Server error
+ */
+itemRouter.get("/facets", ItemController.facets);
+
+/**
+ * @openapi
+ * /item/low_stock:
+ *   get:
+ *     summary: List the items whose tracked stock is at or below their low stock threshold
+ *     description: An item is listed when its own stock or the stock of one of its variants is low. Items without a tracked stock are never listed.
+ *     tags: [Item]
+ *     responses:
+ *       200:
+ *         description: Low stock items
+ *       404:
+ *         description: No items found
+ *       500:
+ *         description: Server error
+ */
+itemRouter.get("/low_stock", auth.requirePermission("inventory:read"), ItemController.low_stock);
+
 /**
  * @openapi
  * /item/{id}:
@@ -290,6 +530,11 @@ itemRouter.get("/", ItemController.index);
  *         description: The ID of the item
  *         schema:
  *           type: string
+ *       - name: currency
+ *         in: query
+ *         description: Currency code (e.g. SYP, EUR) to convert the prices to, the prices are in USD without it
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
  *         description: Item retrieved successfully
@@ -316,6 +561,25 @@ itemRouter.get("/", ItemController.index);
  *                       type: number
  *                     discount:
  *                       type: number
+ *                     local_price:
+ *                       type: number
+ *                     local_discounted_price:
+ *                       type: number
+ *                     price_range:
+ *                       type: object
+ *                       properties:
+ *                         min:
+ *                           type: number
+ *                         max:
+ *                           type: number
+ *                     options:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                     variants:
+ *                       type: array
+ *                       items:
+ *                         type: object
  *                     images:
  *                       type: array
  *                       items:
@@ -398,7 +662,7 @@ itemRouter.get("/:id", ItemController.get);
  *                 message:
  *                   type: string
  */
-itemRouter.delete("/:id", auth.is_admin, ItemController.remove);
+itemRouter.delete("/:id", auth.requirePermission("item:write"), ItemController.remove);
 
 /**
  * @openapi
@@ -436,13 +700,25 @@ itemRouter.delete("/:id", auth.is_admin, ItemController.remove);
  *               discount:
  *                  type: number
  *                  format: float
- *                  description: The discount of the item
+ *                  description: The discount of the item, 0 removes it
+ *               discount_type:
+ *                  type: string
+ *                  enum: [percentage, fixed]
  *               is_hidden:
  *                  type: boolean
  *                  description: Whether the item should be hidden from regular listings
+ *               low_stock_threshold:
+ *                  type: integer
+ *                  description: Stock at or below which the item is listed as low stock
+ *               fixed_local_price:
+ *                  type: number
+ *                  description: A fixed price in SYP shown instead of the converted price, an empty value removes it
  *               sub_category_id:
  *                 type: string
  *                 description: The ID of the sub-category the item belongs to
+ *               brand_id:
+ *                 type: string
+ *                 description: The ID of the brand of the item, an empty value removes it
  *               main_category_id:
  *                 type: string
  *                 description: The ID of the main category the item belongs to
@@ -518,8 +794,327 @@ itemRouter.delete("/:id", auth.is_admin, ItemController.remove);
  *               properties:
  *                 message:
  *                   type: string
+ *       404:
+ *         description: Brand not found
+ */
+itemRouter.put("/:id", auth.requirePermission("item:write"), ItemController.update);
+
+/**
+ * @openapi
+ * /item/{item_id}/options:
+ *   put:
+ *     summary: Set the option axes of an item
+ *     description: Replaces the axes (like nicotine strength or bottle size) the variants are built from. Existing variants have to fit the new axes.
+ *     tags: [Item]
+ *     parameters:
+ *       - name: item_id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               options:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                     values:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                 example: [{ name: "nicotine", values: ["3mg", "6mg", "12mg"] }, { name: "size", values: ["30ml", "60ml"] }]
+ *     responses:
+ *       200:
+ *         description: Options updated successfully
+ *       400:
+ *         description: Invalid options or existing variants do not fit them
+ *       404:
+ *         description: Item not found
+ */
+itemRouter.put('/:item_id/options', auth.requirePermission("item:write"), ItemController.set_options);
+
+/**
+ * @openapi
+ * /item/{item_id}/attributes:
+ *   put:
+ *     summary: Replace the attribute values of an item
+ *     description: The values have to fit the attribute definitions of the item's main and sub category, numbers and booleans are stored in their type.
+ *     tags: [Item]
+ *     parameters:
+ *       - name: item_id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               attributes:
+ *                 type: object
+ *                 additionalProperties: true
+ *                 example: { ohm: 0.8, coil_type: "mesh" }
+ *     responses:
+ *       200:
+ *         description: Attributes updated successfully, returns the item
+ *       400:
+ *         description: Unknown attribute, invalid value or a required attribute is missing
+ *       404:
+ *         description: Item not found
+ */
+itemRouter.put('/:item_id/attributes', auth.requirePermission("item:write"), ItemController.set_attributes);
+
+/**
+ * @openapi
+ * /item/{item_id}/variants:
+ *   post:
+ *     summary: Add a variant to an item
+ *     tags: [Item]
+ *     parameters:
+ *       - name: item_id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               options:
+ *                 type: string
+ *                 description: JSON object with one value per option axis of the item
+ *                 example: '{"nicotine": "3mg", "size": "30ml"}'
+ *               price:
+ *                 type: number
+ *                 description: Price of the variant, the item's price is used when missing
+ *               discount:
+ *                 type: number
+ *               discount_type:
+ *                 type: string
+ *                 enum: [percentage, fixed]
+ *                 description: Falls back to the item's discount type
+ *               sku:
+ *                 type: string
+ *               is_available:
+ *                 type: boolean
+ *               files:
+ *                 type: array
+ *                 items:
+ *                   type: file
+ *                   format: binary
+ *                 description: Images of the variant, added to the existing ones
+ *             required:
+ *               - options
+ *     responses:
+ *       201:
+ *         description: Variant added successfully, returns the item
+ *       400:
+ *         description: The options do not fit the item, the combination or the SKU already exists
+ *       404:
+ *         description: Item not found
+ */
+itemRouter.post('/:item_id/variants', auth.requirePermission("item:write"), busboy.bus, ItemController.add_variant);
+
+/**
+ * @openapi
+ * /item/{item_id}/variants/{variant_id}:
+ *   put:
+ *     summary: Edit a variant
+ *     tags: [Item]
+ *     parameters:
+ *       - name: item_id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: variant_id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               options:
+ *                 type: string
+ *                 description: JSON object with one value per option axis of the item
+ *                 example: '{"nicotine": "3mg", "size": "30ml"}'
+ *               price:
+ *                 type: number
+ *                 description: Price of the variant, the item's price is used when missing
+ *               discount:
+ *                 type: number
+ *               discount_type:
+ *                 type: string
+ *                 enum: [percentage, fixed]
+ *                 description: Falls back to the item's discount type
+ *               sku:
+ *                 type: string
+ *               is_available:
+ *                 type: boolean
+ *               files:
+ *                 type: array
+ *                 items:
+ *                   type: file
+ *                   format: binary
+ *                 description: Images of the variant, added to the existing ones
+ *     responses:
+ *       200:
+ *         description: Variant updated successfully, returns the item
+ *       400:
+ *         description: The options do not fit the item, the combination or the SKU already exists
+ *       404:
+ *         description: Item or variant not found
+ */
+itemRouter.put('/:item_id/variants/:variant_id', auth.requirePermission("item:write"), busboy.bus, ItemController.update_variant);
+
+/**
+ * @openapi
+ * /item/{item_id}/variants/{variant_id}:
+ *   delete:
+ *     summary: Remove a variant and its images
+ *     tags: [Item]
+ *     parameters:
+ *       - name: item_id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: variant_id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Variant removed successfully
+ *       404:
+ *         description: Item or variant not found
+ */
+itemRouter.delete('/:item_id/variants/:variant_id', auth.requirePermission("item:write"), ItemController.remove_variant);
+
+/**
+ * @openapi
+ * /item/{item_id}/price_at:
+ *   get:
+ *     summary: Get the prices an item had at a given date
+ *     description: The price, discount and fixed local price are rebuilt from the audit log and the local prices use the dollar price and rounding of that date. Changes made before the audit log existed are not known.
+ *     tags: [Item]
+ *     parameters:
+ *       - name: item_id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: date
+ *         in: query
+ *         required: true
+ *         description: The date and time to look at
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: The item and variant prices at that date
+ *       400:
+ *         description: Invalid date, or the item did not exist at that date
+ *       404:
+ *         description: Item not found
+ */
+itemRouter.get('/:item_id/price_at', auth.authenticate, ItemController.price_at);
+
+/**
+ * @openapi
+ * /item/{item_id}/stock:
+ *   post:
+ *     summary: Record a stock movement for an item or one of its variants
+ *     description: received and returned add the quantity, sold removes it and adjusted takes a signed quantity. The stock can not go below zero, and untracked stock has nothing to remove.
+ *     tags: [Item]
+ *     parameters:
+ *       - name: item_id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [type, quantity]
+ *             properties:
+ *               variant_id:
+ *                 type: string
+ *                 description: The variant whose stock changes, required when the item has variants. The item stock is used when omitted
+ *               type:
+ *                 type: string
+ *                 enum: [received, sold, adjusted, returned]
+ *               quantity:
+ *                 type: integer
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Movement recorded, returns the movement with the resulting stock
+ *       400:
+ *         description: Invalid movement type or quantity, not enough stock, or no variant for an item with variants
+ *       404:
+ *         description: Item or variant not found
+ */
+itemRouter.post('/:item_id/stock', auth.requirePermission("inventory:write"), ItemController.record_stock_movement);
+
+/**
+ * @openapi
+ * /item/{item_id}/stock/movements:
+ *   get:
+ *     summary: List the stock movements of an item, newest first
+ *     tags: [Item]
+ *     parameters:
+ *       - name: item_id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: variant_id
+ *         in: query
+ *         description: Only the movements of this variant
+ *         schema:
+ *           type: string
+ *       - name: cursor
+ *         in: query
+ *         description: Cursor for pagination
+ *         schema:
+ *           type: string
+ *       - name: limit
+ *         in: query
+ *         description: Number of movements to return (default 50)
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Stock movements
+ *       404:
+ *         description: No stock movements found
  */
-itemRouter.put("/:id", auth.is_admin, ItemController.update);
+itemRouter.get('/:item_id/stock/movements', auth.requirePermission("inventory:read"), ItemController.stock_movements);
 
 /**
  * @openapi
@@ -562,7 +1157,7 @@ itemRouter.put("/:id", auth.is_admin, ItemController.update);
  *                 message:
  *                   type: string
  */
-itemRouter.delete('/:item_id/:index', auth.is_admin, ItemController.remove_item_photo);
+itemRouter.delete('/:item_id/:index', auth.requirePermission("item:write"), ItemController.remove_item_photo);
 
 /**
  * @openapi
@@ -663,7 +1258,7 @@ itemRouter.delete('/:item_id/:index', auth.is_admin, ItemController.remove_item_
  *                 message:
  *                   type: string
  */
-itemRouter.post('/:item_id', auth.is_admin, busboy.bus, ItemController.add_item_photo);
+itemRouter.post('/:item_id', auth.requirePermission("item:write"), busboy.bus, ItemController.add_item_photo);
 
 /**
  * @openapi
@@ -770,6 +1365,6 @@ itemRouter.post('/:item_id', auth.is_admin, busboy.bus, ItemController.add_item_
  *                 message:
  *                   type: string
  */
-itemRouter.put('/:item_id/:index', auth.is_admin, busboy.bus, ItemController.edit_item_photo);
+itemRouter.put('/:item_id/:index', auth.requirePermission("item:write"), busboy.bus, ItemController.edit_item_photo);
 
 module.exports = itemRouter;
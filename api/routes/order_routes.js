@@ -0,0 +1,263 @@
+const express = require("express");
+const OrderController = require("../controllers/order_controller.js");
+const auth = require("../middlewares/admin_auth.js")
+
+const orderRouter = express.Router();
+
+/**
+ * @openapi
+ * tags:
+ *   name: Order
+ *   description: Customer orders and their delivery workflow
+ */
+
+/**
+ * @openapi
+ * /order:
+ *   post:
+ *     summary: Place an order
+ *     description: Orders the cart of the cart-token header, which is emptied afterwards, or the lines of the body when no cart is sent. The names, prices, discounts, delivery fee and dollar price of this moment are copied into the order. Fails when any line can not be bought. While there are active delivery zones one has to be picked, in the body or on the cart.
+ *     tags: [Order]
+ *     parameters:
+ *       - name: cart-token
+ *         in: header
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [customer_name, customer_phone, customer_address]
+ *             properties:
+ *               customer_name:
+ *                 type: string
+ *                 example: Mohammad
+ *               customer_phone:
+ *                 type: string
+ *                 description: Stored as digits only, spaces, dashes and a leading + or 00 are dropped
+ *                 example: "+963 944 123 456"
+ *               customer_address:
+ *                 type: string
+ *                 example: Damascus, Mezzeh, Villat Sharqiyah
+ *               note:
+ *                 type: string
+ *               delivery_zone_id:
+ *                 type: string
+ *                 description: Overrides the zone picked on the cart
+ *               coupon_code:
+ *                 type: string
+ *                 description: Overrides the coupon entered on the cart
+ *               lines:
+ *                 type: array
+ *                 description: Only used without a cart-token
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     item_id:
+ *                       type: string
+ *                     variant_id:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *                       minimum: 1
+ *                       maximum: 100
+ *     responses:
+ *       201:
+ *         description: The order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   example: {
+ *                     _id: "67838759c886a879a8ffc620",
+ *                     reference: "AM-7KQ2XD",
+ *                     customer: { name: "Mohammad", phone: "963944123456", address: "Damascus, Mezzeh" },
+ *                     lines: [{
+ *                       item_id: "67838759c886a879a8ffc619",
+ *                       name: "Xros 3",
+ *                       quantity: 2,
+ *                       price: 25,
+ *                       discount: { type: "percentage", value: 10 },
+ *                       unit_price: 22.5,
+ *                       local_unit_price: 337500,
+ *                       line_total: 45,
+ *                       local_line_total: 675000
+ *                     }],
+ *                     subtotal: 45,
+ *                     local_subtotal: 675000,
+ *                     coupon: null,
+ *                     delivery: { zone_id: "67838759c886a879a8ffc630", name: "Mezzeh", ar_name: "المزة", estimated_time: "1-2 hours", fee: 2, local_fee: 30000 },
+ *                     total: 47,
+ *                     local_total: 705000,
+ *                     exchange_rate: 15000,
+ *                     status: "pending",
+ *                     status_history: [{ status: "pending", createdAt: "2025-01-12T10:00:00.000Z" }]
+ *                   }
+ *       400:
+ *         description: Missing customer details or delivery zone, empty cart, unavailable items or a coupon that can not be used
+ *       404:
+ *         description: Cart or delivery zone not found
+ */
+orderRouter.post("/", OrderController.place);
+
+/**
+ * @openapi
+ * /order:
+ *   get:
+ *     summary: List orders, newest first
+ *     tags: [Order]
+ *     parameters:
+ *       - name: status
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [pending, confirmed, preparing, out_for_delivery, delivered, cancelled]
+ *       - name: phone
+ *         in: query
+ *         description: Compared as digits only
+ *         schema:
+ *           type: string
+ *       - name: reference
+ *         in: query
+ *         schema:
+ *           type: string
+ *       - name: from
+ *         in: query
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - name: to
+ *         in: query
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - name: cursor
+ *         in: query
+ *         description: The _id of the last order of the previous page
+ *         schema:
+ *           type: string
+ *       - name: limit
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: The orders
+ *       404:
+ *         description: No orders found
+ */
+orderRouter.get("/", auth.requirePermission("order:read"), OrderController.index);
+
+/**
+ * @openapi
+ * /order/whatsapp:
+ *   get:
+ *     summary: Get a bilingual summary of an order to send on WhatsApp
+ *     description: For the customer after placing the order. The order is handed to the next WhatsApp account of the settings once and keeps that account afterwards.
+ *     tags: [Order]
+ *     parameters:
+ *       - name: reference
+ *         in: query
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: phone
+ *         in: query
+ *         required: true
+ *         description: The customer phone given with the order, in any format
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The message and a wa.me link for every WhatsApp account, primary is the one to open
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   example: {
+ *                     reference: "AM-7KQ2XD",
+ *                     message: "طلب جديد / New order\nالمرجع / Reference: AM-7KQ2XD\n\n• إكسروس 3 / Xros 3 × 2 = 675,000 ل.س / SYP\n\nالمجموع / Total: 675,000 ل.س / SYP",
+ *                     primary: { name: "Sales", phone_number: "+963944123456", link: "https://wa.me/963944123456?text=..." },
+ *                     links: [
+ *                       { name: "Sales", phone_number: "+963944123456", link: "https://wa.me/963944123456?text=..." },
+ *                       { name: "Support", phone_number: "+963955654321", link: "https://wa.me/963955654321?text=..." }
+ *                     ]
+ *                   }
+ *       404:
+ *         description: Order not found or no WhatsApp accounts configured
+ */
+orderRouter.get("/whatsapp", OrderController.whatsapp);
+
+/**
+ * @openapi
+ * /order/{id}:
+ *   get:
+ *     summary: Get an order
+ *     tags: [Order]
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The order
+ *       404:
+ *         description: Order not found
+ */
+orderRouter.get("/:id", auth.requirePermission("order:read"), OrderController.getById);
+
+/**
+ * @openapi
+ * /order/{id}/status:
+ *   put:
+ *     summary: Move an order to its next status
+ *     description: pending → confirmed → preparing → out_for_delivery → delivered, and any of them but delivered → cancelled. Confirming takes the ordered quantities from the tracked stock, cancelling a confirmed order puts them back and gives the coupon use back.
+ *     tags: [Order]
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [status]
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [confirmed, preparing, out_for_delivery, delivered, cancelled]
+ *               note:
+ *                 type: string
+ *                 example: Customer asked to deliver after 5pm
+ *     responses:
+ *       200:
+ *         description: Order updated successfully
+ *       400:
+ *         description: Invalid status, transition not allowed or not enough stock to confirm
+ *       404:
+ *         description: Order not found
+ */
+orderRouter.put("/:id/status", auth.requirePermission("order:write"), OrderController.transition);
+
+module.exports = orderRouter;
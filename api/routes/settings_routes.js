@@ -185,7 +185,83 @@ settingsRouter.get("/", settingsController.get);
  *                   type: string
  *                   example: "Invalid input"
  */
-settingsRouter.put("/dollar", auth.is_admin, settingsController.update_dollar_price);
+settingsRouter.put("/dollar", auth.requirePermission("settings:dollar"), settingsController.update_dollar_price);
+
+/**
+ * @openapi
+ * /settings/dollar/history:
+ *   get:
+ *     summary: Get the dollar price changes and a daily series of the rate
+ *     description: The daily series has the rate in effect at the end of every day (UTC) of the range. The range defaults to the last 30 days and can not be longer than 366 days.
+ *     tags:
+ *       - Settings
+ *     parameters:
+ *       - name: from
+ *         in: query
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - name: to
+ *         in: query
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: The changes with their time and user, and the daily series
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   example: {
+ *                     changes: [
+ *                       { rate: 15000, previous_rate: 14750, user_id: "67838759c886a879a8ffc617", user_name: "admin", createdAt: "2025-01-12T09:11:53.993Z" }
+ *                     ],
+ *                     daily: [
+ *                       { date: "2025-01-11", rate: 14750 },
+ *                       { date: "2025-01-12", rate: 15000 }
+ *                     ]
+ *                   }
+ *       400:
+ *         description: Invalid date or range
+ */
+settingsRouter.get("/dollar/history", auth.authenticate, settingsController.dollar_history);
+
+/**
+ * @openapi
+ * /settings/price_rounding:
+ *   put:
+ *     summary: Update how the local prices are rounded
+ *     description: Item prices converted with the dollar price are rounded to a multiple of step (e.g. 500). A step of 0 rounds to a whole number.
+ *     tags:
+ *       - Settings
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               step:
+ *                 type: number
+ *                 example: 500
+ *               mode:
+ *                 type: string
+ *                 enum: [nearest, up, down]
+ *                 example: nearest
+ *     responses:
+ *       200:
+ *         description: Settings updated successfully
+ *       400:
+ *         description: Bad request
+ */
+settingsRouter.put("/price_rounding", auth.requirePermission("settings:dollar"), settingsController.update_price_rounding);
 
 /**
  * @openapi
@@ -283,7 +359,7 @@ settingsRouter.put("/dollar", auth.is_admin, settingsController.update_dollar_pr
  *                   type: string
  *                   example: Invalid input or server error.
  */
-settingsRouter.post("/hero", auth.is_admin, busboy.bus, settingsController.add_hero_photo);
+settingsRouter.post("/hero", auth.requirePermission("settings:write"), busboy.bus, settingsController.add_hero_photo);
 
 /**
  * @openapi
@@ -389,7 +465,7 @@ settingsRouter.post("/hero", auth.is_admin, busboy.bus, settingsController.add_h
  *                   type: string
  *                   example: Invalid input or server error.
  */
-settingsRouter.put("/hero/:index", auth.is_admin, busboy.bus, settingsController.edit_hero_photos);
+settingsRouter.put("/hero/:index", auth.requirePermission("settings:write"), busboy.bus, settingsController.edit_hero_photos);
 
 /**
  * @openapi
@@ -436,7 +512,7 @@ settingsRouter.put("/hero/:index", auth.is_admin, busboy.bus, settingsController
  *                   type: string
  *                   example: "Internal server error."
  */
-settingsRouter.delete("/hero/:index", auth.is_admin, settingsController.remove_hero_photo)
+settingsRouter.delete("/hero/:index", auth.requirePermission("settings:write"), settingsController.remove_hero_photo)
 
 /**
  * @openapi
@@ -532,7 +608,7 @@ settingsRouter.delete("/hero/:index", auth.is_admin, settingsController.remove_h
  *                   type: string
  *                   example: "Invalid input or required field missing."
  */
-settingsRouter.put("/about_us", auth.is_admin, settingsController.update_about_us);
+settingsRouter.put("/about_us", auth.requirePermission("settings:write"), settingsController.update_about_us);
 
 /**
  * @openapi
@@ -628,7 +704,7 @@ settingsRouter.put("/about_us", auth.is_admin, settingsController.update_about_u
  *                   type: string
  *                   example: "Invalid input or required field missing."
  */
-settingsRouter.put("/facebook", auth.is_admin, settingsController.update_facebook);
+settingsRouter.put("/facebook", auth.requirePermission("settings:write"), settingsController.update_facebook);
 
 /**
  * @openapi
@@ -727,7 +803,7 @@ settingsRouter.put("/facebook", auth.is_admin, settingsController.update_faceboo
  *                   type: string
  *                   example: "Invalid input or required field missing."
  */
-settingsRouter.put("/youtube", auth.is_admin, settingsController.update_youtube);
+settingsRouter.put("/youtube", auth.requirePermission("settings:write"), settingsController.update_youtube);
 
 /**
  * @openapi
@@ -826,7 +902,7 @@ settingsRouter.put("/youtube", auth.is_admin, settingsController.update_youtube)
  *                   type: string
  *                   example: "Invalid input or required field missing."
  */
-settingsRouter.put("/instagram", auth.is_admin, settingsController.update_instagram);
+settingsRouter.put("/instagram", auth.requirePermission("settings:write"), settingsController.update_instagram);
 
 /**
  * @openapi
@@ -925,7 +1001,7 @@ settingsRouter.put("/instagram", auth.is_admin, settingsController.update_instag
  *                   type: string
  *                   example: "Invalid input or required field missing."
  */
-settingsRouter.put("/telegram", auth.is_admin, settingsController.update_telegram);
+settingsRouter.put("/telegram", auth.requirePermission("settings:write"), settingsController.update_telegram);
 
 
 /**
@@ -1025,7 +1101,7 @@ settingsRouter.put("/telegram", auth.is_admin, settingsController.update_telegra
  *                   type: string
  *                   example: "Invalid input or required field missing."
  */
-settingsRouter.put("/whatsapp_channel", auth.is_admin, settingsController.update_whatsapp_channel);
+settingsRouter.put("/whatsapp_channel", auth.requirePermission("settings:write"), settingsController.update_whatsapp_channel);
 
 
 /**
@@ -1117,7 +1193,7 @@ settingsRouter.put("/whatsapp_channel", auth.is_admin, settingsController.update
  *                   type: string
  *                   example: "Invalid input or server error."
  */
-settingsRouter.post("/whatsapp", auth.is_admin, settingsController.add_whatsapp_account);
+settingsRouter.post("/whatsapp", auth.requirePermission("settings:write"), settingsController.add_whatsapp_account);
 
 /**
  * @openapi
@@ -1164,7 +1240,7 @@ settingsRouter.post("/whatsapp", auth.is_admin, settingsController.add_whatsapp_
  *                   type: string
  *                   example: "Internal server error."
  */
-settingsRouter.delete("/whatsapp/:index", auth.is_admin, settingsController.remove_whatsapp_account);
+settingsRouter.delete("/whatsapp/:index", auth.requirePermission("settings:write"), settingsController.remove_whatsapp_account);
 
 
 
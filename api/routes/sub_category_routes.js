@@ -51,7 +51,7 @@ const auth = require("../middlewares/admin_auth.js")
  *       400:
  *         description: Invalid input or server error
  */
-subCategoryRouter.post('/', auth.is_admin, subCategoryController.create);
+subCategoryRouter.post('/', auth.requirePermission("category:write"), subCategoryController.create);
 
 /**
  * @swagger
@@ -110,7 +110,7 @@ subCategoryRouter.get("/", subCategoryController.index);
  *       400:
  *         description: Sub-category not found or server error
  */
-subCategoryRouter.delete("/:id", auth.is_admin, subCategoryController.remove);
+subCategoryRouter.delete("/:id", auth.requirePermission("category:write"), subCategoryController.remove);
 
 /**
  * @swagger
@@ -160,6 +160,82 @@ subCategoryRouter.delete("/:id", auth.is_admin, subCategoryController.remove);
  *       400:
  *         description: Sub-category not found or invalid input
  */
-subCategoryRouter.put("/:id", auth.is_admin, subCategoryController.update);
+subCategoryRouter.put("/:id", auth.requirePermission("category:write"), subCategoryController.update);
 
-module.exports = subCategoryRouter;
\ No newline at end of file
+/**
+ * @openapi
+ * /sub_category/{id}/attributes:
+ *   get:
+ *     summary: Get the attribute definitions items of the sub category follow
+ *     description: The attributes of the main category with the ones of the sub category added, a sub category attribute replaces a main category one with the same key.
+ *     tags: [SubCategory]
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The merged attribute definitions
+ *       404:
+ *         description: SubCategory not found
+ */
+subCategoryRouter.get("/:id/attributes", subCategoryController.attributes);
+
+/**
+ * @openapi
+ * /sub_category/{id}/attributes:
+ *   put:
+ *     summary: Replace the attribute definitions the sub category adds to its main category
+ *     tags: [SubCategory]
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               attributes:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required: [key, type]
+ *                   properties:
+ *                     key:
+ *                       type: string
+ *                       description: Lowercase letters, digits and underscores, used in the attr. filters
+ *                       example: ohm
+ *                     label:
+ *                       type: string
+ *                     ar_label:
+ *                       type: string
+ *                     type:
+ *                       type: string
+ *                       enum: [number, string, boolean, enum]
+ *                     values:
+ *                       type: array
+ *                       description: The allowed values of an enum attribute
+ *                       items:
+ *                         type: string
+ *                     unit:
+ *                       type: string
+ *                     required:
+ *                       type: boolean
+ *     responses:
+ *       200:
+ *         description: Attributes updated successfully
+ *       400:
+ *         description: Invalid attribute definitions
+ *       404:
+ *         description: SubCategory not found
+ */
+subCategoryRouter.put("/:id/attributes", auth.requirePermission("category:write"), subCategoryController.set_attributes);
+
+module.exports = subCategoryRouter;
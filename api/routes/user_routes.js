@@ -1,5 +1,6 @@
 const express = require("express");
 const UserController = require("../controllers/user_controller");
+const auth = require("../middlewares/admin_auth.js")
 const UserRouter = express.Router();
 /**
  * @openapi
@@ -13,6 +14,7 @@ const UserRouter = express.Router();
  * /user/register:
  *   post:
  *     summary: Register a new user
+ *     description: Needs the user:manage permission. Owners can create users with any role, everybody else only with a role below their own and permissions they hold themselves.
  *     tags: [User]
  *     requestBody:
  *       required: true
@@ -28,8 +30,15 @@ const UserRouter = express.Router();
  *                 type: string
  *                 description: The password for the new user
  *               role:
- *                 type: number  # Changed from string to number
- *                 description: The role of the new user (e.g., 1 for "admin", 2 for "user")
+ *                 type: string
+ *                 enum: [owner, manager, catalog_editor, content_editor, viewer]
+ *                 description: The role of the new user, defaults to viewer
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [item:write, inventory:read, inventory:write, order:read, order:write, delivery:write, coupon:read, coupon:write, category:write, faq:write, settings:dollar, settings:write, user:read, user:manage, audit:read]
+ *                 description: Extra permissions on top of the ones of the role
  *             required:
  *               - user_name
  *               - password
@@ -46,13 +55,46 @@ const UserRouter = express.Router();
  *                 user_name:
  *                   type: string
  *                 role:
- *                   type: number  # Changed from string to number
+ *                   type: string
  *       400:
  *         description: User already exists or invalid input
+ *       403:
+ *         description: Not allowed to manage this role
  *       500:
  *         description: Server error
  */
-UserRouter.post('/register', UserController.create);
+UserRouter.post('/register', auth.requirePermission("user:manage"), UserController.create);
+
+/**
+ * @openapi
+ * /user/bootstrap:
+ *   post:
+ *     summary: Create the first owner account
+ *     description: Only works while there are no users at all, afterwards it always answers with 403.
+ *     tags: [User]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               user_name:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *             required:
+ *               - user_name
+ *               - password
+ *     responses:
+ *       201:
+ *         description: Owner created successfully
+ *       403:
+ *         description: Users already exist
+ *       500:
+ *         description: Server error
+ */
+UserRouter.post('/bootstrap', UserController.bootstrap);
 
 /**
  * @openapi
@@ -78,7 +120,7 @@ UserRouter.post('/register', UserController.create);
  *              - password
  *     responses:
  *       200:
- *         description: User logged in successfully, returns JWT token
+ *         description: User logged in successfully, returns a short-lived access token and a refresh token. When two-factor authentication is enabled it returns `two_factor_required` and a `two_factor_token` for /user/login/2fa instead
  *         content:
  *           application/json:
  *             schema:
@@ -86,6 +128,10 @@ UserRouter.post('/register', UserController.create);
  *               properties:
  *                 token:
  *                   type: string
+ *                   description: Access token, send it in the `auth` header
+ *                 refresh_token:
+ *                   type: string
+ *                   description: Used with /user/refresh to get a new access token
  *                 user:
  *                   type: object
  *                   properties:
@@ -94,16 +140,278 @@ UserRouter.post('/register', UserController.create);
  *                     user_name:
  *                       type: string
  *                     role:
- *                       type: number  # Changed from string to number
+ *                       type: string
  *       401:
- *         description: Invalid credentials
- *       404:
- *         description: User does not exist
+ *         description: Invalid credentials, returned both for a wrong password and an unknown user
+ *       429:
+ *         description: Too many failed attempts for this user or ip, the Retry-After header holds the seconds to wait
  *       500:
  *         description: Server error
  */
 UserRouter.post("/login", UserController.login);
 
+/**
+ * @openapi
+ * /user/login/2fa:
+ *   post:
+ *     summary: Second login step for users with two-factor authentication
+ *     description: Takes the two_factor_token returned by /user/login together with either a code from the authenticator app or an unused recovery code.
+ *     tags: [User]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               two_factor_token:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 description: 6 digit code from the authenticator app
+ *               recovery_code:
+ *                 type: string
+ *                 description: One of the recovery codes, each works only once
+ *             required:
+ *              - two_factor_token
+ *     responses:
+ *       200:
+ *         description: User logged in successfully, returns the same tokens as /user/login
+ *       401:
+ *         description: Invalid two-factor token or code
+ *       429:
+ *         description: Too many failed attempts
+ *       500:
+ *         description: Server error
+ */
+UserRouter.post("/login/2fa", UserController.login_two_factor);
+
+/**
+ * @openapi
+ * /user/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new access/refresh token pair
+ *     description: The refresh token that was sent is revoked and a new one is returned in its place.
+ *     tags: [User]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refresh_token:
+ *                 type: string
+ *             required:
+ *              - refresh_token
+ *     responses:
+ *       200:
+ *         description: Tokens refreshed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 token:
+ *                   type: string
+ *                 refresh_token:
+ *                   type: string
+ *       401:
+ *         description: Invalid refresh token
+ *       500:
+ *         description: Server error
+ */
+UserRouter.post("/refresh", UserController.refresh);
+
+/**
+ * @openapi
+ * /user/logout:
+ *   post:
+ *     summary: Revoke a refresh token
+ *     tags: [User]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refresh_token:
+ *                 type: string
+ *             required:
+ *              - refresh_token
+ *     responses:
+ *       200:
+ *         description: Logged out successfully
+ *       401:
+ *         description: Invalid refresh token
+ *       500:
+ *         description: Server error
+ */
+UserRouter.post("/logout", UserController.logout);
+
+/**
+ * @openapi
+ * /user/me/password:
+ *   put:
+ *     summary: Change the password of the logged in user
+ *     description: Needs the current password. Wrong passwords count towards the same lock as failed logins. Every other session of the user is revoked and a new token pair is returned.
+ *     tags: [User]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               current_password:
+ *                 type: string
+ *               new_password:
+ *                 type: string
+ *                 description: At least 8 characters with letters and numbers
+ *             required:
+ *               - current_password
+ *               - new_password
+ *     responses:
+ *       200:
+ *         description: Password changed, returns a new token pair
+ *       400:
+ *         description: The new password is missing or too weak
+ *       401:
+ *         description: Current password is wrong
+ *       429:
+ *         description: Too many wrong passwords, the Retry-After header says when to try again
+ *       500:
+ *         description: Server error
+ */
+UserRouter.put("/me/password", auth.authenticate, UserController.change_password);
+
+/**
+ * @openapi
+ * /user/password/reset:
+ *   post:
+ *     summary: Set a new password with a reset token
+ *     description: The token comes from an admin through /user/{id}/reset_token and works only once.
+ *     tags: [User]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reset_token:
+ *                 type: string
+ *               new_password:
+ *                 type: string
+ *             required:
+ *               - reset_token
+ *               - new_password
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *       400:
+ *         description: The new password is missing or too weak
+ *       401:
+ *         description: Invalid or expired reset token
+ *       500:
+ *         description: Server error
+ */
+UserRouter.post("/password/reset", UserController.reset_password);
+
+/**
+ * @openapi
+ * /user/me/2fa/setup:
+ *   post:
+ *     summary: Start two-factor enrollment for the logged in user
+ *     description: Returns a new secret and the otpauth URI to show as a QR code. Nothing changes until /user/me/2fa/enable gets a valid code.
+ *     tags: [User]
+ *     responses:
+ *       200:
+ *         description: Provisioning data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 secret:
+ *                   type: string
+ *                 otpauth_uri:
+ *                   type: string
+ *       400:
+ *         description: Two-factor authentication is already enabled
+ *       403:
+ *         description: Only available for admin accounts
+ */
+UserRouter.post("/me/2fa/setup", auth.authenticate, UserController.setup_two_factor);
+
+/**
+ * @openapi
+ * /user/me/2fa/enable:
+ *   post:
+ *     summary: Confirm two-factor enrollment with a code from the authenticator app
+ *     tags: [User]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: string
+ *             required:
+ *              - code
+ *     responses:
+ *       200:
+ *         description: Two-factor enabled, returns the recovery codes. They are not shown again
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 recovery_codes:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       400:
+ *         description: Setup not started or already enabled
+ *       401:
+ *         description: Invalid two-factor code
+ */
+UserRouter.post("/me/2fa/enable", auth.authenticate, UserController.enable_two_factor);
+
+/**
+ * @openapi
+ * /user/me/2fa/disable:
+ *   post:
+ *     summary: Turn two-factor authentication off
+ *     tags: [User]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *               recovery_code:
+ *                 type: string
+ *             required:
+ *              - password
+ *     responses:
+ *       200:
+ *         description: Two-factor disabled
+ *       400:
+ *         description: Two-factor authentication is not enabled
+ *       401:
+ *         description: Invalid password or code
+ */
+UserRouter.post("/me/2fa/disable", auth.authenticate, UserController.disable_two_factor);
+
 /**
  * @openapi
  * /user:
@@ -125,14 +433,14 @@ UserRouter.post("/login", UserController.login);
  *                   user_name:
  *                     type: string
  *                   role:
- *                     type: number  # Changed from string to number
+ *                     type: string
  *       404:
  *         description: No users found
  *       400:
  *         description: Server error
  */
 
-UserRouter.get("/", UserController.index);
+UserRouter.get("/", auth.requirePermission("user:read"), UserController.index);
 
 /**
  * @openapi
@@ -150,18 +458,21 @@ UserRouter.get("/", UserController.index);
  *     responses:
  *       204:
  *         description: User removed successfully
+ *       403:
+ *         description: Not allowed to manage this role, or the user is the last owner
  *       404:
  *         description: User does not exist
  *       500:
  *         description: Server error
  */
-UserRouter.delete("/:id",UserController.remove);
+UserRouter.delete("/:id", auth.requirePermission("user:manage"), UserController.remove);
 
 /**
  * @openapi
  * /user/{id}:
  *   put:
  *     summary: Update a user by ID
+ *     description: Changing the password, the role or the permissions revokes every refresh token of the user. Your own password can't be changed here, use /user/me/password.
  *     tags: [User]
  *     parameters:
  *       - in: path
@@ -179,10 +490,17 @@ UserRouter.delete("/:id",UserController.remove);
  *             properties:
  *               password:
  *                 type: string
- *                 description: The new password for the user
+ *                 description: The new password for the user, rejected on your own account
  *               role:
- *                 type: number  # Changed from string to number
- *                 description: The new role for the user (e.g., 1 for "admin", 2 for "user")
+ *                 type: string
+ *                 enum: [owner, manager, catalog_editor, content_editor, viewer]
+ *                 description: The new role for the user
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [item:write, inventory:read, inventory:write, order:read, order:write, delivery:write, coupon:read, coupon:write, category:write, faq:write, settings:dollar, settings:write, user:read, user:manage, audit:read]
+ *                 description: Replaces the extra permissions of the user
  *     responses:
  *       200:
  *         description: User updated successfully
@@ -196,12 +514,76 @@ UserRouter.delete("/:id",UserController.remove);
  *                 user_name:
  *                   type: string
  *                 role:
- *                   type: number  # Changed from string to number
+ *                   type: string
+ *       400:
+ *         description: Weak password, or a password for your own account
+ *       403:
+ *         description: Not allowed to manage this role, or the user is the last owner
+ *       404:
+ *         description: User does not exist
+ *       500:
+ *         description: Server error
+ */
+UserRouter.put("/:id", auth.requirePermission("user:manage"), UserController.update);
+
+/**
+ * @openapi
+ * /user/{id}/unlock:
+ *   post:
+ *     summary: Clear the failed login attempts of a user
+ *     description: Lifts a lockout caused by too many failed logins on this account.
+ *     tags: [User]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID of the user to unlock
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User unlocked successfully
+ *       404:
+ *         description: User does not exist
+ *       500:
+ *         description: Server error
+ */
+UserRouter.post("/:id/unlock", auth.requirePermission("user:manage"), UserController.unlock);
+
+/**
+ * @openapi
+ * /user/{id}/reset_token:
+ *   post:
+ *     summary: Generate a single-use password reset token for a user
+ *     description: Hand the token to the staff member, they redeem it through /user/password/reset.
+ *     tags: [User]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID of the user
+ *         schema:
+ *           type: string
+ *     responses:
+ *       201:
+ *         description: Reset token created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 reset_token:
+ *                   type: string
+ *                 expires_at:
+ *                   type: string
+ *                   format: date-time
+ *       403:
+ *         description: Not allowed to manage this role, or the user is yourself
  *       404:
  *         description: User does not exist
  *       500:
  *         description: Server error
  */
-UserRouter.put("/:id", UserController.update);
+UserRouter.post("/:id/reset_token", auth.requirePermission("user:manage"), UserController.create_reset_token);
 
 module.exports = UserRouter;
\ No newline at end of file
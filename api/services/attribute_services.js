@@ -0,0 +1,74 @@
+const CategoryModel = require("../models/category_model");
+const SubCategoryModel = require("../models/sub_category_model");
+const ItemModel = require("../models/item_model");
+const AuditServices = require("./audit_services");
+const { validateDefinitions, mergeDefinitions, validateValues } = require("../helpers/attribute_helpers");
+const { parseJson } = require("../helpers/json_helpers");
+
+const toDefinitions = (attributes) => {
+    const definitions = parseJson(attributes, "Invalid attribute definitions") || [];
+    validateDefinitions(definitions);
+    return definitions;
+}
+
+// the attribute definitions for items of the given categories
+const definitionsFor = async (main_category_id, sub_category_id) => {
+    const category = main_category_id ? await CategoryModel.findById(main_category_id) : null;
+    const subCategory = sub_category_id ? await SubCategoryModel.findById(sub_category_id) : null;
+    return mergeDefinitions(
+        category ? category.attributes.map(attribute => attribute.toObject()) : [],
+        subCategory ? subCategory.attributes.map(attribute => attribute.toObject()) : []
+    );
+}
+
+// item values are checked when they are written, existing items keep theirs until they are edited
+const set_category_attributes = async (id, attributes, actor) => {
+    const category = await CategoryModel.findById(id);
+    if (!category) throw new Error("Category not found");
+    const before = AuditServices.snapshot(category);
+
+    category.attributes = toDefinitions(attributes);
+    await category.save();
+    await AuditServices.record(actor, 'category', before, category);
+    return category;
+}
+
+const set_sub_category_attributes = async (id, attributes, actor) => {
+    const subCategory = await SubCategoryModel.findById(id);
+    if (!subCategory) throw new Error("SubCategory not found");
+    const before = AuditServices.snapshot(subCategory);
+
+    subCategory.attributes = toDefinitions(attributes);
+    await subCategory.save();
+    await AuditServices.record(actor, 'sub_category', before, subCategory);
+    return subCategory;
+}
+
+// the merged definitions an item of the sub category has to follow
+const sub_category_definitions = async (id) => {
+    const subCategory = await SubCategoryModel.findById(id);
+    if (!subCategory) throw new Error("SubCategory not found");
+    return definitionsFor(subCategory.main_category_id, subCategory._id);
+}
+
+const set_item_attributes = async (item_id, attributes, actor) => {
+    const item = await ItemModel.findById(item_id);
+    if (!item) throw new Error("Item not found");
+    const before = AuditServices.snapshot(item);
+
+    const values = parseJson(attributes, "Invalid attribute values") || {};
+    if (typeof values !== 'object' || Array.isArray(values)) throw new Error("Invalid attribute values");
+    item.attributes = validateValues(await definitionsFor(item.main_category_id, item.sub_category_id), values);
+
+    await item.save();
+    await AuditServices.record(actor, 'item', before, item);
+    return item;
+}
+
+module.exports = {
+    definitionsFor,
+    set_category_attributes,
+    set_sub_category_attributes,
+    sub_category_definitions,
+    set_item_attributes,
+};
@@ -0,0 +1,109 @@
+const AuditLogModel = require('../models/audit_log_model');
+
+// `search` only holds normalized copies of other fields
+const IGNORED_FIELDS = ['_id', '__v', 'search'];
+// changes to these are logged, their values are not
+const REDACTED_FIELDS = ['password', 'two_factor', 'password_reset'];
+
+const snapshot = (doc) => {
+    if (!doc) return null;
+    return typeof doc.toObject === 'function' ? doc.toObject({depopulate: true}) : doc;
+}
+
+const diffOf = (before, after) => {
+    const diff = {};
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+    for (const field of fields) {
+        if (IGNORED_FIELDS.includes(field)) continue;
+        const oldValue = before ? before[field] : undefined;
+        const newValue = after ? after[field] : undefined;
+        if (JSON.stringify(oldValue) === JSON.stringify(newValue)) continue;
+
+        diff[field] = REDACTED_FIELDS.includes(field)
+            ? {before: '[redacted]', after: '[redacted]'}
+            : {before: oldValue ?? null, after: newValue ?? null};
+    }
+    return diff;
+}
+
+// `before` is a snapshot taken before the change, null on create; `after` is null on delete.
+// a failing audit write is logged but never fails the change itself. a call without an actor is
+// a bug in the caller, it is reported and the change is still logged, without a user
+const record = async (actor, entity, before, after) => {
+    if (!actor) {
+        console.log(new Error(`Audit entry for ${entity} without an actor`));
+        actor = {};
+    }
+    try {
+        const oldState = snapshot(before);
+        const newState = snapshot(after);
+        const action = !oldState ? 'create' : !newState ? 'delete' : 'update';
+        const diff = diffOf(oldState, newState);
+        if (action === 'update' && !Object.keys(diff).length) return;
+
+        await AuditLogModel.create({
+            user_id: actor.id,
+            user_name: actor.user_name,
+            route: actor.route,
+            entity,
+            entity_id: (newState || oldState)._id,
+            action,
+            diff,
+        });
+    } catch (err) {
+        console.log('Error writing audit log:', err);
+    }
+}
+
+const index = async (user_id, entity, entity_id, from, to, cursor, limit = 50) => {
+    const filter = {};
+
+    if (user_id) {
+        filter.user_id = user_id;
+    }
+    if (entity) {
+        filter.entity = entity;
+    }
+    if (entity_id) {
+        filter.entity_id = entity_id;
+    }
+    if (from) {
+        filter.createdAt = {...filter.createdAt, $gte: new Date(from)};
+    }
+    if (to) {
+        filter.createdAt = {...filter.createdAt, $lte: new Date(to)};
+    }
+    if (cursor) {
+        filter._id = {$lt: cursor};
+    }
+
+    return AuditLogModel.find(filter)
+        .sort({_id: -1})
+        .limit(Number(limit) || 50);
+}
+
+// the values `fields` of an entity had at `date`, rebuilt from its current state by undoing
+// every logged change made after it. changes made before the audit log existed are not known
+const stateAt = async (entity, entity_id, current, fields, date) => {
+    const state = {};
+    for (const field of fields) {
+        state[field] = current[field] ?? null;
+    }
+
+    const logs = await AuditLogModel.find({entity, entity_id, createdAt: {$gt: date}}).sort({createdAt: -1});
+    for (const log of logs) {
+        if (log.action === 'create') return null;
+        for (const field of fields) {
+            if (log.diff && log.diff[field]) state[field] = log.diff[field].before;
+        }
+    }
+    return state;
+}
+
+module.exports = {
+    snapshot,
+    record,
+    index,
+    stateAt,
+};
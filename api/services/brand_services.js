@@ -0,0 +1,62 @@
+const BrandModel = require('../models/brand_model');
+const ItemModel = require('../models/item_model');
+const { saveFileToCloudinary, deleteFileFromCloudinary } = require('../helpers/file_helpers');
+const AuditServices = require('./audit_services');
+
+const create = async (name, description, logo, actor) => {
+    const brand = new BrandModel({ name, description });
+    if (logo) {
+        const { url } = await saveFileToCloudinary(logo.buffer);
+        brand.logo = url;
+    }
+    await brand.save();
+    await AuditServices.record(actor, 'brand', null, brand);
+    return brand;
+}
+
+const index = async () => {
+    return BrandModel.find().sort({ name: 1 });
+}
+
+const get = async (id) => {
+    const brand = await BrandModel.findById(id);
+    if (!brand) throw new Error("Brand not found");
+    return brand;
+}
+
+// a brand that items still point to can not be removed
+const remove = async (id, actor) => {
+    const brand = await BrandModel.findById(id);
+    if (!brand) throw new Error("Brand not found");
+    if (await ItemModel.exists({ brand_id: brand._id })) throw new Error("Brand is used by items");
+
+    await brand.deleteOne();
+    if (brand.logo) await deleteFileFromCloudinary(brand.logo);
+    await AuditServices.record(actor, 'brand', brand, null);
+    return brand;
+}
+
+const update = async (id, name, description, logo, actor) => {
+    const brand = await BrandModel.findById(id);
+    if (!brand) throw new Error("Brand not found");
+    const before = AuditServices.snapshot(brand);
+
+    if (logo) {
+        const { url } = await saveFileToCloudinary(logo.buffer);
+        if (brand.logo) await deleteFileFromCloudinary(brand.logo);
+        brand.logo = url;
+    }
+    brand.name = name || brand.name;
+    brand.description = description !== undefined ? description : brand.description;
+    await brand.save();
+    await AuditServices.record(actor, 'brand', before, brand);
+    return brand;
+}
+
+module.exports = {
+    create,
+    index,
+    get,
+    remove,
+    update
+};
@@ -0,0 +1,98 @@
+const CampaignModel = require("../models/campaign_model");
+const ItemModel = require("../models/item_model");
+const CategoryModel = require("../models/category_model");
+const SubCategoryModel = require("../models/sub_category_model");
+const AuditServices = require("./audit_services");
+
+const TARGET_MODELS = {
+    item: ItemModel,
+    sub_category: SubCategoryModel,
+    main_category: CategoryModel,
+};
+
+// the scope and target_ids of a campaign, or of anything else limited the same way
+const validateTargets = async (target, message = "Invalid campaign targets") => {
+    if (target.scope === 'store') {
+        target.target_ids = [];
+        return;
+    }
+    const model = TARGET_MODELS[target.scope];
+    const ids = target.target_ids || [];
+    if (!model || !ids.length) throw new Error(message);
+    const found = await model.countDocuments({ _id: { $in: ids } });
+    if (found !== new Set(ids.map(String)).size) throw new Error(message);
+}
+
+const validate = async (campaign) => {
+    if (!(campaign.ends_at > campaign.starts_at)) throw new Error("Invalid campaign dates");
+    if (!(campaign.value > 0) || (campaign.type === 'percentage' && campaign.value > 100))
+        throw new Error("Invalid discount value");
+    await validateTargets(campaign);
+}
+
+// the campaigns running at `at`
+const active = async (at = new Date()) => {
+    return CampaignModel.find({ starts_at: { $lte: at }, ends_at: { $gt: at } }).lean();
+}
+
+// status is one of active, scheduled and ended, all campaigns without it
+const index = async (status) => {
+    const now = new Date();
+    const filter = {};
+
+    if (status === 'active') {
+        filter.starts_at = { $lte: now };
+        filter.ends_at = { $gt: now };
+    }
+    if (status === 'scheduled') {
+        filter.starts_at = { $gt: now };
+    }
+    if (status === 'ended') {
+        filter.ends_at = { $lte: now };
+    }
+
+    return CampaignModel.find(filter).sort({ starts_at: -1 });
+}
+
+const create = async (name, type, value, starts_at, ends_at, scope, target_ids, actor) => {
+    const campaign = new CampaignModel({ name, type, value, starts_at, ends_at, scope, target_ids });
+    await validate(campaign);
+    await campaign.save();
+    await AuditServices.record(actor, 'campaign', null, campaign);
+    return campaign;
+}
+
+const update = async (id, name, type, value, starts_at, ends_at, scope, target_ids, actor) => {
+    const campaign = await CampaignModel.findById(id);
+    if (!campaign) throw new Error("Campaign not found");
+    const before = AuditServices.snapshot(campaign);
+
+    if (name !== undefined) campaign.name = name;
+    if (type !== undefined) campaign.type = type;
+    if (value !== undefined) campaign.value = value;
+    if (starts_at !== undefined) campaign.starts_at = starts_at;
+    if (ends_at !== undefined) campaign.ends_at = ends_at;
+    if (scope !== undefined) campaign.scope = scope;
+    if (target_ids !== undefined) campaign.target_ids = target_ids;
+
+    await validate(campaign);
+    await campaign.save();
+    await AuditServices.record(actor, 'campaign', before, campaign);
+    return campaign;
+}
+
+const remove = async (id, actor) => {
+    const campaign = await CampaignModel.findByIdAndDelete(id);
+    if (!campaign) throw new Error("Campaign not found");
+    await AuditServices.record(actor, 'campaign', campaign, null);
+    return campaign;
+}
+
+module.exports = {
+    validateTargets,
+    active,
+    index,
+    create,
+    update,
+    remove,
+};
@@ -0,0 +1,301 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const CartModel = require("../models/cart_model");
+const ItemModel = require("../models/item_model");
+const ItemServices = require("./item_services");
+const CurrencyServices = require("./currency_services");
+const DeliveryZoneServices = require("./delivery_zone_services");
+const CouponServices = require("./coupon_services");
+const { isTracked } = require("../helpers/stock_helpers");
+const { roundPrice, convertPrice } = require("../helpers/price_helpers");
+const { discountedPrice, basePrice, effectiveDiscount } = require("../helpers/discount_helpers");
+
+const CART_EXPIRES_DAYS = Number(process.env.CART_EXPIRES_DAYS) || 30;
+const MAX_LINE_QUANTITY = 100;
+
+const hashToken = (token) => {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+const expiresAt = () => {
+    return new Date(Date.now() + CART_EXPIRES_DAYS * 24 * 60 * 60 * 1000);
+}
+
+const findCart = async (token) => {
+    if (!token) throw new Error("Cart not found");
+    const cart = await CartModel.findOne({ token_hash: hashToken(token), expires_at: { $gt: new Date() } });
+    if (!cart) throw new Error("Cart not found");
+    return cart;
+}
+
+const parseQuantity = (quantity) => {
+    const amount = Number(quantity);
+    if (!Number.isInteger(amount) || amount < 1 || amount > MAX_LINE_QUANTITY) throw new Error("Invalid quantity");
+    return amount;
+}
+
+// why a line can not be bought right now, null when it can
+const unavailableReason = (item, variant_id, quantity) => {
+    if (!item) return 'deleted';
+    if (item.is_hidden) return 'hidden';
+
+    let source = item;
+    if (item.variants && item.variants.length) {
+        if (!variant_id) return 'variant_required';
+        source = item.variants.find(variant => String(variant._id) === String(variant_id));
+        if (!source) return 'variant_removed';
+        if (source.is_available === false) return 'not_available';
+    } else if (variant_id) {
+        return 'variant_removed';
+    }
+    // an order line needs a price, the item can't be sold until it has one
+    const price = basePrice(item, source === item ? null : source);
+    if (price === undefined || price === null) return 'no_price';
+
+    if (isTracked(source.stock) && source.stock <= 0) return 'out_of_stock';
+    if (isTracked(source.stock) && source.stock < quantity) return 'not_enough_stock';
+    return null;
+}
+
+const roundTotal = (value, currency) => {
+    const factor = 10 ** (currency ? currency.precision ?? 2 : 2);
+    return Math.round(value * factor) / factor;
+}
+
+// the fee of the picked zone, free once the dollar subtotal reaches the zone's threshold
+const deliveryFor = (zone, subtotal, pricing, currency) => {
+    const threshold = zone.free_shipping_threshold;
+    const is_free = threshold !== undefined && threshold !== null && subtotal >= threshold;
+    const fee = is_free ? 0 : zone.fee;
+    return {
+        zone_id: zone._id,
+        name: zone.name,
+        ar_name: zone.ar_name,
+        estimated_time: zone.estimated_time,
+        fee: currency ? convertPrice(fee, currency) : fee,
+        local_fee: pricing.rate > 0 ? roundPrice(fee * pricing.rate, pricing.rounding) : null,
+        free_shipping_threshold: currency ? convertPrice(threshold, currency) : threshold ?? null,
+        is_free,
+    };
+}
+
+// what `coupon` takes off, with `error` set and nothing taken off when it can not be used
+const couponFor = (coupon, couponLines, pricing, currency) => {
+    const { discount, error } = CouponServices.evaluate(coupon._id ? coupon : null, couponLines);
+    return {
+        coupon_id: coupon._id || null,
+        code: coupon.code,
+        type: coupon.type,
+        value: coupon.type === 'fixed' && currency ? convertPrice(coupon.value, currency) : coupon.value,
+        discount: currency ? convertPrice(discount, currency) : roundTotal(discount),
+        local_discount: pricing.rate > 0 ? roundPrice(discount * pricing.rate, pricing.rounding) : null,
+        error,
+    };
+}
+
+// prices the lines with the current items, dollar price, campaigns and currency, plus the
+// delivery fee of `zone` and the discount of `coupon` when there are. unavailable lines are
+// flagged and left out of the totals
+const resolveLines = async (lines, currency_code, zone, coupon) => {
+    const currency = await CurrencyServices.resolve(currency_code);
+    const pricing = await ItemServices.getPricing();
+    const items = await ItemModel.find({ _id: { $in: lines.map(line => line.item_id) } });
+    const itemsById = new Map(items.map(item => [String(item._id), item]));
+
+    let subtotal = 0;
+    let local_subtotal = 0;
+    let base_subtotal = 0;
+    const couponLines = [];
+    const resolved = lines.map(line => {
+        const item = itemsById.get(String(line.item_id));
+        const unavailable = unavailableReason(item, line.variant_id, line.quantity);
+        const result = {
+            _id: line._id,
+            item_id: line.item_id,
+            variant_id: line.variant_id ?? null,
+            quantity: line.quantity,
+            unavailable,
+        };
+        if (!item) return result;
+
+        const presented = ItemServices.present(item, pricing, currency);
+        const variant = line.variant_id
+            ? presented.variants.find(variant => String(variant._id) === String(line.variant_id))
+            : null;
+        const source = variant || presented;
+
+        Object.assign(result, {
+            name: item.name,
+            ar_name: item.ar_name,
+            image: (variant && variant.images && variant.images[0]) || item.images[0] || null,
+            options: variant ? variant.options : null,
+            price: source.price ?? presented.price,
+            effective_discount: source.effective_discount,
+            unit_price: source.final_price,
+            local_unit_price: source.local_discounted_price,
+            line_total: source.final_price === null ? null : roundTotal(source.final_price * line.quantity, currency),
+            local_line_total: source.local_discounted_price === null ? null : source.local_discounted_price * line.quantity,
+        });
+        if (!unavailable) {
+            subtotal += result.line_total || 0;
+            local_subtotal += result.local_line_total || 0;
+            const original = line.variant_id ? item.variants.id(line.variant_id) : null;
+            const amount = discountedPrice(basePrice(item, original), effectiveDiscount(item, original, pricing.campaigns)) * line.quantity;
+            base_subtotal += amount;
+            couponLines.push({ item, amount });
+        }
+        return result;
+    });
+
+    const delivery = zone ? deliveryFor(zone, base_subtotal, pricing, currency) : null;
+    const applied = coupon ? couponFor(coupon, couponLines, pricing, currency) : null;
+    const total = subtotal - (applied ? applied.discount || 0 : 0) + (delivery ? delivery.fee || 0 : 0);
+    const local_total = local_subtotal - (applied ? applied.local_discount || 0 : 0) + (delivery ? delivery.local_fee || 0 : 0);
+    return {
+        lines: resolved,
+        subtotal: roundTotal(subtotal, currency),
+        local_subtotal,
+        coupon: applied,
+        delivery,
+        total: roundTotal(Math.max(total, 0), currency),
+        local_total: Math.max(local_total, 0),
+        rate: pricing.rate,
+        currency: currency ? { code: currency.code, symbol: currency.symbol } : null,
+    };
+}
+
+// the zone of the cart, unless it was turned off or removed since it was picked
+const cartZone = async (cart) => {
+    if (!cart.delivery_zone_id) return null;
+    return DeliveryZoneServices.findActive(cart.delivery_zone_id).catch(() => null);
+}
+
+// the coupon entered on the cart, a code that no longer exists still shows up with its error
+const cartCoupon = async (cart) => {
+    if (!cart.coupon_code) return null;
+    return (await CouponServices.findByCode(cart.coupon_code)) || { code: cart.coupon_code };
+}
+
+const present = async (cart, currency_code) => {
+    const priced = await resolveLines(cart.lines, currency_code, await cartZone(cart), await cartCoupon(cart));
+    return {
+        _id: cart._id,
+        expires_at: cart.expires_at,
+        ...priced,
+        has_unavailable: priced.lines.some(line => line.unavailable),
+    };
+}
+
+// the raw token is only returned here
+const create = async (currency_code) => {
+    const token = crypto.randomBytes(32).toString('hex');
+    const cart = await CartModel.create({ token_hash: hashToken(token), lines: [], expires_at: expiresAt() });
+    return { token, cart: await present(cart, currency_code) };
+}
+
+const get = async (token, currency_code) => {
+    return present(await findCart(token), currency_code);
+}
+
+// adding an item that is already in the cart raises its quantity
+const add_line = async (token, item_id, variant_id, quantity, currency_code) => {
+    const cart = await findCart(token);
+    const amount = parseQuantity(quantity ?? 1);
+
+    const item = mongoose.isValidObjectId(item_id) ? await ItemModel.findById(item_id) : null;
+    const existing = cart.lines.find(line =>
+        String(line.item_id) === String(item_id) && String(line.variant_id ?? '') === String(variant_id ?? '')
+    );
+    const total = amount + (existing ? existing.quantity : 0);
+    const reason = unavailableReason(item, variant_id, total);
+    if (reason === 'deleted' || reason === 'hidden') throw new Error("Item not found");
+    if (reason === 'variant_required') throw new Error("Variant is required");
+    if (reason === 'variant_removed') throw new Error("Variant not found");
+    if (reason) throw new Error("Not enough stock");
+    parseQuantity(total);
+
+    if (existing) existing.quantity = total;
+    else cart.lines.push({ item_id: item._id, variant_id: variant_id || undefined, quantity: amount });
+
+    cart.expires_at = expiresAt();
+    await cart.save();
+    return present(cart, currency_code);
+}
+
+const update_line = async (token, line_id, quantity, currency_code) => {
+    const cart = await findCart(token);
+    const line = cart.lines.id(line_id);
+    if (!line) throw new Error("Cart line not found");
+
+    const amount = parseQuantity(quantity);
+    const item = await ItemModel.findById(line.item_id);
+    if (amount > line.quantity && unavailableReason(item, line.variant_id, amount))
+        throw new Error("Not enough stock");
+    line.quantity = amount;
+
+    cart.expires_at = expiresAt();
+    await cart.save();
+    return present(cart, currency_code);
+}
+
+const remove_line = async (token, line_id, currency_code) => {
+    const cart = await findCart(token);
+    const line = cart.lines.id(line_id);
+    if (!line) throw new Error("Cart line not found");
+    line.deleteOne();
+
+    cart.expires_at = expiresAt();
+    await cart.save();
+    return present(cart, currency_code);
+}
+
+// picks the zone the cart is delivered to, without one the cart has no delivery fee
+const set_delivery_zone = async (token, delivery_zone_id, currency_code) => {
+    const cart = await findCart(token);
+    cart.delivery_zone_id = delivery_zone_id ? (await DeliveryZoneServices.findActive(delivery_zone_id))._id : undefined;
+
+    cart.expires_at = expiresAt();
+    await cart.save();
+    return present(cart, currency_code);
+}
+
+// enters a coupon code, only kept when the coupon can be used on the cart as it is
+const add_coupon = async (token, code, currency_code) => {
+    const cart = await findCart(token);
+    if (!cart.lines.length) throw new Error("Cart is empty");
+    const coupon = await CouponServices.findByCode(code);
+    if (!coupon) throw new Error("Invalid coupon code");
+
+    cart.coupon_code = coupon.code;
+    const presented = await present(cart, currency_code);
+    if (presented.coupon.error) throw new Error(presented.coupon.error);
+
+    cart.expires_at = expiresAt();
+    await cart.save();
+    return presented;
+}
+
+const remove_coupon = async (token, currency_code) => {
+    const cart = await findCart(token);
+    cart.coupon_code = undefined;
+
+    cart.expires_at = expiresAt();
+    await cart.save();
+    return present(cart, currency_code);
+}
+
+module.exports = {
+    findCart,
+    parseQuantity,
+    cartZone,
+    cartCoupon,
+    resolveLines,
+    create,
+    get,
+    add_line,
+    update_line,
+    remove_line,
+    set_delivery_zone,
+    add_coupon,
+    remove_coupon,
+};
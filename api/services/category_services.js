@@ -1,11 +1,13 @@
 const CategoryModel = require('../models/category_model');
 const SubCategoryModel = require('../models/sub_category_model');
 const { saveFileToCloudinary } = require('../helpers/file_helpers');
+const AuditServices = require('./audit_services');
 
-const create = async (name, description, image) => {
+const create = async (name, description, image, actor) => {
     const { url } = await saveFileToCloudinary(image.buffer);
     const Category = new CategoryModel({ name: name, description: description, image: url });
     await Category.save();
+    await AuditServices.record(actor, 'category', null, Category);
     return Category;
 }
 
@@ -14,17 +16,23 @@ const index = async () => {
     return Categories;
 }
 
-const remove = async (id) => {
+const remove = async (id, actor) => {
     const category = await CategoryModel.findByIdAndDelete(id);
+    const subCategories = await SubCategoryModel.find({ main_category_id: id });
     await SubCategoryModel.deleteMany({ main_category_id: id });
     if (!category) throw new Error("Category not found");
+    await AuditServices.record(actor, 'category', category, null);
+    for (const subCategory of subCategories) {
+        await AuditServices.record(actor, 'sub_category', subCategory, null);
+    }
     return category;
 }
 
 
-const update = async (id, name, description, image) => {
+const update = async (id, name, description, image, actor) => {
     const category = await CategoryModel.findById(id);
     if (!category) throw new Error("Category not found");
+    const before = AuditServices.snapshot(category);
 
     if (image) {
         const { url } = await saveFileToCloudinary(image.buffer);
@@ -33,6 +41,7 @@ const update = async (id, name, description, image) => {
     category.name = name || category.name;
     category.description = description || category.description;
     await category.save();
+    await AuditServices.record(actor, 'category', before, category);
     return category;
 }
 
@@ -0,0 +1,163 @@
+const CouponModel = require("../models/coupon_model");
+const CouponRedemptionModel = require("../models/coupon_redemption_model");
+const AuditServices = require("./audit_services");
+const { validateTargets } = require("./campaign_services");
+const { campaignApplies } = require("../helpers/discount_helpers");
+
+const findCoupon = async (id) => {
+    const coupon = await CouponModel.findById(id);
+    if (!coupon) throw new Error("Coupon not found");
+    return coupon;
+}
+
+// the coupon a customer typed in, null when there is none with that code
+const findByCode = async (code) => {
+    if (!code) return null;
+    return CouponModel.findOne({ code: String(code).trim().toUpperCase() });
+}
+
+const validate = async (coupon) => {
+    if (!(coupon.value > 0) || (coupon.type === 'percentage' && coupon.value > 100))
+        throw new Error("Invalid discount value");
+    if (coupon.starts_at && coupon.ends_at && !(coupon.ends_at > coupon.starts_at))
+        throw new Error("Invalid coupon dates");
+    await validateTargets(coupon, "Invalid coupon targets");
+}
+
+// the dollars the coupon takes off the lines, [{item, amount}] with amount the discounted dollar
+// line total, or why it can not be used on them. the per phone limit is checked on checkout
+const evaluate = (coupon, lines, at = new Date()) => {
+    if (!coupon || !coupon.is_active) return { discount: 0, error: "Invalid coupon code" };
+    if ((coupon.starts_at && coupon.starts_at > at) || (coupon.ends_at && coupon.ends_at <= at))
+        return { discount: 0, error: "Coupon is not valid at this time" };
+    if (coupon.usage_limit && coupon.used_count >= coupon.usage_limit)
+        return { discount: 0, error: "Coupon usage limit reached" };
+
+    const subtotal = lines.reduce((sum, line) => sum + line.amount, 0);
+    if (coupon.min_order_amount && subtotal < coupon.min_order_amount)
+        return { discount: 0, error: "Order amount is below the coupon minimum" };
+
+    const eligible = lines
+        .filter(line => campaignApplies(coupon, line.item))
+        .reduce((sum, line) => sum + line.amount, 0);
+    if (!eligible) return { discount: 0, error: "Coupon does not apply to these items" };
+
+    const discount = coupon.type === 'fixed' ? Math.min(coupon.value, eligible) : eligible * coupon.value / 100;
+    return { discount, error: null };
+}
+
+// stores the redemption in the first free slot of the phone. the unique index on
+// (coupon_id, phone, slot) makes two checkouts racing for the last slot end with one winner
+const insertRedemption = async (coupon, order, discount) => {
+    const redemption = { coupon_id: coupon._id, order_id: order._id, phone: order.customer.phone, discount };
+    if (!coupon.per_phone_limit) return CouponRedemptionModel.create(redemption);
+
+    for (let slot = 0; slot < coupon.per_phone_limit; slot++) {
+        try {
+            return await CouponRedemptionModel.create({ ...redemption, slot });
+        } catch (err) {
+            if (err.code !== 11000 || !err.keyPattern || !('slot' in err.keyPattern)) throw err;
+        }
+    }
+    throw new Error("Coupon already used with this phone number");
+}
+
+// counts the order against the limits, the global one is checked and raised in one update
+// and given back when the per phone limit or the redemption itself fails
+const redeem = async (coupon, order, discount) => {
+    const filter = { _id: coupon._id };
+    if (coupon.usage_limit) filter.used_count = { $lt: coupon.usage_limit };
+    const updated = await CouponModel.findOneAndUpdate(filter, { $inc: { used_count: 1 } });
+    if (!updated) throw new Error("Coupon usage limit reached");
+
+    try {
+        await insertRedemption(updated, order, discount);
+    } catch (err) {
+        await CouponModel.updateOne({ _id: coupon._id }, { $inc: { used_count: -1 } });
+        throw err;
+    }
+}
+
+// gives the use back, for orders that failed to save or were cancelled
+const release = async (order) => {
+    const redemption = await CouponRedemptionModel.findOneAndDelete({ order_id: order._id });
+    if (redemption) await CouponModel.updateOne({ _id: redemption.coupon_id }, { $inc: { used_count: -1 } });
+}
+
+const index = async () => {
+    return CouponModel.find().sort({ createdAt: -1 });
+}
+
+const get = async (id) => {
+    return findCoupon(id);
+}
+
+const redemptions = async (id, cursor, limit = 50) => {
+    const coupon = await findCoupon(id);
+    const filter = { coupon_id: coupon._id };
+
+    if (cursor) {
+        filter._id = { $lt: cursor };
+    }
+
+    return CouponRedemptionModel.find(filter)
+        .sort({ _id: -1 })
+        .limit(Number(limit) || 50);
+}
+
+const create = async (code, type, value, min_order_amount, scope, target_ids, starts_at, ends_at, usage_limit, per_phone_limit, is_active, actor) => {
+    if (!code) throw new Error("Coupon code is required");
+    if (await findByCode(code)) throw new Error("Coupon code already exists");
+
+    const coupon = new CouponModel({ code, type, value, min_order_amount, scope, target_ids, starts_at, ends_at, usage_limit, per_phone_limit, is_active });
+    await validate(coupon);
+    await coupon.save();
+    await AuditServices.record(actor, 'coupon', null, coupon);
+    return coupon;
+}
+
+// the code itself can not change, orders refer to it
+const update = async (id, type, value, min_order_amount, scope, target_ids, starts_at, ends_at, usage_limit, per_phone_limit, is_active, actor) => {
+    const coupon = await findCoupon(id);
+    const before = AuditServices.snapshot(coupon);
+
+    if (type !== undefined) coupon.type = type;
+    if (value !== undefined) coupon.value = value;
+    if (min_order_amount !== undefined) coupon.min_order_amount = min_order_amount;
+    if (scope !== undefined) coupon.scope = scope;
+    if (target_ids !== undefined) coupon.target_ids = target_ids;
+    if (starts_at !== undefined) coupon.starts_at = starts_at;
+    if (ends_at !== undefined) coupon.ends_at = ends_at;
+    if (usage_limit !== undefined) coupon.usage_limit = usage_limit;
+    if (per_phone_limit !== undefined) coupon.per_phone_limit = per_phone_limit;
+    if (is_active !== undefined) coupon.is_active = is_active;
+
+    await validate(coupon);
+    await coupon.save();
+    await AuditServices.record(actor, 'coupon', before, coupon);
+    return coupon;
+}
+
+// a coupon orders were placed with is only turned off, so their redemptions stay meaningful
+const remove = async (id, actor) => {
+    const coupon = await findCoupon(id);
+    if (await CouponRedemptionModel.exists({ coupon_id: coupon._id }))
+        throw new Error("Coupon has been used, deactivate it instead");
+
+    await coupon.deleteOne();
+    await AuditServices.record(actor, 'coupon', coupon, null);
+    return coupon;
+}
+
+module.exports = {
+    findByCode,
+    evaluate,
+    redeem,
+    release,
+    index,
+    get,
+    redemptions,
+    create,
+    update,
+    remove,
+};
@@ -0,0 +1,80 @@
+const CurrencyModel = require("../models/currency_model");
+const AuditServices = require("./audit_services");
+const SettingsServices = require("./settings_services");
+
+const BASE_CURRENCY = { code: 'USD', symbol: '$', rate: 1, precision: 2 };
+const LOCAL_CURRENCY = { code: 'SYP', symbol: 'ل.س', precision: 0 };
+
+const isBuiltIn = (code) => {
+    return [BASE_CURRENCY.code, LOCAL_CURRENCY.code].includes(String(code).toUpperCase());
+}
+
+const findCurrency = async (code) => {
+    const currency = await CurrencyModel.findOne({ code: String(code).toUpperCase() });
+    if (!currency) throw new Error("Currency not found");
+    return currency;
+}
+
+// the built-in currencies first, then the stored ones
+const index = async () => {
+    const pricing = await SettingsServices.getPricing();
+    const currencies = await CurrencyModel.find().sort({ code: 1 });
+    return [BASE_CURRENCY, { ...LOCAL_CURRENCY, rate: pricing.rate }, ...currencies.map(currency => currency.toJSON())];
+}
+
+const create = async (code, symbol, rate, precision, actor) => {
+    if (!code) throw new Error("Currency code is required");
+    if (isBuiltIn(code)) throw new Error("USD and SYP are managed in the settings");
+    if (await CurrencyModel.exists({ code: String(code).toUpperCase() }))
+        throw new Error("Currency already exists");
+
+    const currency = new CurrencyModel({ code, symbol, rate, precision });
+    await currency.save();
+    await AuditServices.record(actor, 'currency', null, currency);
+    return currency;
+}
+
+const update = async (code, symbol, rate, precision, actor) => {
+    const currency = await findCurrency(code);
+    const before = AuditServices.snapshot(currency);
+
+    if (symbol !== undefined) currency.symbol = symbol;
+    if (rate !== undefined) currency.rate = rate;
+    if (precision !== undefined) currency.precision = precision;
+
+    await currency.save();
+    await AuditServices.record(actor, 'currency', before, currency);
+    return currency;
+}
+
+const remove = async (code, actor) => {
+    const currency = await findCurrency(code);
+    await currency.deleteOne();
+    await AuditServices.record(actor, 'currency', currency, null);
+    return currency;
+}
+
+// what `currency=` on the item endpoints converts to, null keeps the stored dollar prices
+const resolve = async (code) => {
+    if (!code) return null;
+    const upper = String(code).toUpperCase();
+
+    if (upper === BASE_CURRENCY.code) return null;
+    if (upper === LOCAL_CURRENCY.code) {
+        const pricing = await SettingsServices.getPricing();
+        // `local` makes present() take the local prices, fixed local prices included
+        return { ...LOCAL_CURRENCY, rate: pricing.rate, rounding: pricing.rounding, local: true };
+    }
+
+    const currency = await CurrencyModel.findOne({ code: upper });
+    if (!currency) throw new Error("Unknown currency");
+    return { code: currency.code, symbol: currency.symbol, rate: currency.rate, precision: currency.precision };
+}
+
+module.exports = {
+    index,
+    create,
+    update,
+    remove,
+    resolve,
+};
@@ -0,0 +1,69 @@
+const DeliveryZoneModel = require('../models/delivery_zone_model');
+const AuditServices = require('./audit_services');
+
+const findZone = async (id) => {
+    const zone = await DeliveryZoneModel.findById(id);
+    if (!zone) throw new Error("Delivery zone not found");
+    return zone;
+}
+
+// a zone customers can pick, inactive zones are treated as if they did not exist
+const findActive = async (id) => {
+    const zone = await DeliveryZoneModel.findOne({ _id: id, is_active: true });
+    if (!zone) throw new Error("Delivery zone not found");
+    return zone;
+}
+
+const hasActive = async () => {
+    return Boolean(await DeliveryZoneModel.exists({ is_active: true }));
+}
+
+const index = async (include_inactive = false) => {
+    const filter = include_inactive ? {} : { is_active: true };
+    return DeliveryZoneModel.find(filter).sort({ name: 1 });
+}
+
+const get = async (id) => {
+    return findZone(id);
+}
+
+const create = async (name, ar_name, fee, free_shipping_threshold, estimated_time, is_active, actor) => {
+    const zone = new DeliveryZoneModel({ name, ar_name, fee, free_shipping_threshold, estimated_time, is_active });
+    await zone.save();
+    await AuditServices.record(actor, 'delivery_zone', null, zone);
+    return zone;
+}
+
+const update = async (id, name, ar_name, fee, free_shipping_threshold, estimated_time, is_active, actor) => {
+    const zone = await findZone(id);
+    const before = AuditServices.snapshot(zone);
+
+    if (name !== undefined) zone.name = name;
+    if (ar_name !== undefined) zone.ar_name = ar_name;
+    if (fee !== undefined) zone.fee = fee;
+    if (free_shipping_threshold !== undefined) zone.free_shipping_threshold = free_shipping_threshold;
+    if (estimated_time !== undefined) zone.estimated_time = estimated_time;
+    if (is_active !== undefined) zone.is_active = is_active;
+
+    await zone.save();
+    await AuditServices.record(actor, 'delivery_zone', before, zone);
+    return zone;
+}
+
+// orders keep a copy of the zone, so removing one does not touch them
+const remove = async (id, actor) => {
+    const zone = await findZone(id);
+    await zone.deleteOne();
+    await AuditServices.record(actor, 'delivery_zone', zone, null);
+    return zone;
+}
+
+module.exports = {
+    findActive,
+    hasActive,
+    index,
+    get,
+    create,
+    update,
+    remove
+};
@@ -0,0 +1,70 @@
+const ExchangeRateModel = require('../models/exchange_rate_model');
+const SettingsModel = require('../models/settings_model');
+
+const DAY = 24 * 60 * 60 * 1000;
+const DEFAULT_HISTORY_DAYS = 30;
+const MAX_HISTORY_DAYS = 366;
+
+const parseDate = (value, fallback) => {
+    if (value === undefined || value === null || value === '') return fallback;
+    const date = new Date(value);
+    if (isNaN(date.getTime())) throw new Error("Invalid date");
+    return date;
+}
+
+const startOfDay = (date) => {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+const record = async (previous_rate, rate, actor) => {
+    return ExchangeRateModel.create({
+        rate,
+        previous_rate,
+        user_id: actor && actor.id,
+        user_name: actor && actor.user_name,
+    });
+}
+
+// the rate in effect at `date`; before the first recorded change that change's previous rate,
+// without any history the current one
+const rateAt = async (date) => {
+    const last = await ExchangeRateModel.findOne({createdAt: {$lte: date}}).sort({createdAt: -1});
+    if (last) return last.rate;
+
+    const next = await ExchangeRateModel.findOne({createdAt: {$gt: date}}).sort({createdAt: 1});
+    if (next && next.previous_rate !== undefined && next.previous_rate !== null) return next.previous_rate;
+
+    const settings = await SettingsModel.findOne();
+    return settings ? settings.dollar_price : 0;
+}
+
+// the changes inside the range and the rate at the end of every day of it (UTC)
+const history = async (from, to) => {
+    const end = parseDate(to, new Date());
+    const start = parseDate(from, new Date(end.getTime() - DEFAULT_HISTORY_DAYS * DAY));
+    if (start > end) throw new Error("Invalid date range");
+    if (end - start > MAX_HISTORY_DAYS * DAY) throw new Error("Date range is too long");
+
+    const changes = await ExchangeRateModel.find({createdAt: {$gte: start, $lte: end}}).sort({createdAt: 1});
+
+    const daily = [];
+    let rate = await rateAt(start);
+    let next = 0;
+    for (let day = startOfDay(start); day <= end; day = new Date(day.getTime() + DAY)) {
+        const dayEnd = new Date(Math.min(day.getTime() + DAY - 1, end.getTime()));
+        while (next < changes.length && changes[next].createdAt <= dayEnd) {
+            rate = changes[next].rate;
+            next++;
+        }
+        daily.push({date: day.toISOString().slice(0, 10), rate});
+    }
+
+    return {changes, daily};
+}
+
+module.exports = {
+    parseDate,
+    record,
+    rateAt,
+    history,
+};
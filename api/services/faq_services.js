@@ -1,13 +1,15 @@
 const { saveFileToCloudinary, deleteFileFromCloudinary } = require("../helpers/file_helpers");
 const FaqModel = require("../models/faq_model")
+const AuditServices = require("./audit_services");
 
-const create = async (question, answer, images) => {
+const create = async (question, answer, images, actor) => {
     const Faq = new FaqModel({ question, answer });
     for (const image in images) {
         const { url } = await saveFileToCloudinary(images[image].buffer);
         Faq.images.push(url);
     }
     await Faq.save();
+    await AuditServices.record(actor, 'faq', null, Faq);
     return Faq;
 }
 
@@ -19,58 +21,74 @@ const get = async (faq_id) => {
     return FaqModel.findById(faq_id);
 }
 
-const remove = async (id) => {
+const remove = async (id, actor) => {
     const faq = await FaqModel.findByIdAndDelete(id);
+    if (!faq) return faq;
     for (const image in faq.images) {
         await deleteFileFromCloudinary(faq.images[image])
     }
+    await AuditServices.record(actor, 'faq', faq, null);
     return faq;
 }
 
-const update = async (id, question, answer) => {
+const update = async (id, question, answer, actor) => {
     const faq = await FaqModel.findById(id);
     if (!faq) throw new Error("faq does not exist");
+    const before = AuditServices.snapshot(faq);
 
     if (question) faq.question = question;
     if (answer) faq.answer = answer;
 
     await faq.save();
+    await AuditServices.record(actor, 'faq', before, faq);
 
     return faq;
 }
 
-const add_faq_photo = async (id, images) => {
+const add_faq_photo = async (id, images, actor) => {
     const faq = await FaqModel.findById(id);
     if (!faq) throw new Error("faq not found ")
+    const before = AuditServices.snapshot(faq);
     for (const image in images) {
         const { url } = await saveFileToCloudinary(images[image].buffer);
         faq.images.push(url);
     }
 
-    faq.save();
+    await faq.save();
+    await AuditServices.record(actor, 'faq', before, faq);
     return faq;
 
 }
 
 
-const remove_faq_photo = async (id, index) => {
-    const faq = await FaqModel.findById(id);
-    if (!faq) throw new Error("faq not found ")
+// takes the photo off the faq without saving it, the callers save and log the change
+const takeFaqPhoto = async (faq, index) => {
     if (!faq.images[index]) throw new Error("photo not found");
     console.log(`removing ${faq.images[index]}`)
     await deleteFileFromCloudinary(faq.images[index]);
     faq.images.splice(index, 1);
+}
+
+const remove_faq_photo = async (id, index, actor) => {
+    const faq = await FaqModel.findById(id);
+    if (!faq) throw new Error("faq not found ")
+    const before = AuditServices.snapshot(faq);
+    await takeFaqPhoto(faq, index);
     await faq.save();
+    await AuditServices.record(actor, 'faq', before, faq);
     return faq;
 }
 
 
-const edit_faq_photo = async (id, index, image) => {
-    let faq = await FaqModel.findById(id);
-    faq = await remove_faq_photo(id, index);
+const edit_faq_photo = async (id, index, image, actor) => {
+    const faq = await FaqModel.findById(id);
+    if (!faq) throw new Error("faq not found ")
+    const before = AuditServices.snapshot(faq);
+    await takeFaqPhoto(faq, index);
     const { url } = await saveFileToCloudinary(image.buffer);
     faq.images.splice(index, 0, url);
     await faq.save();
+    await AuditServices.record(actor, 'faq', before, faq);
     return faq;
 }
 
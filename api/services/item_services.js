@@ -1,57 +1,266 @@
+const mongoose = require("mongoose");
 const itemModel = require('../models/item_model');
 const { saveFileToCloudinary, deleteFileFromCloudinary } = require("../helpers/file_helpers");
 const ItemModel = require("../models/item_model");
+const BrandModel = require("../models/brand_model");
+const CategoryModel = require("../models/category_model");
+const SubCategoryModel = require("../models/sub_category_model");
+const AuditServices = require("./audit_services");
+const SettingsServices = require("./settings_services");
+const { parseDate } = require("./exchange_rate_services");
+const CurrencyServices = require("./currency_services");
+const CampaignServices = require("./campaign_services");
+const AttributeServices = require("./attribute_services");
+const { normalize, tokenize, escapeRegex } = require("../helpers/search_helpers");
+const { encodeCursor, decodeCursor, cursorFilter } = require("../helpers/cursor_helpers");
+const { priceRange, localRange, localPrices, convertPrice, toBasePrice } = require("../helpers/price_helpers");
+const { itemInStock, variantInStock } = require("../helpers/stock_helpers");
+const { effectiveDiscount, discountedPrice, basePrice } = require("../helpers/discount_helpers");
+const { validateValues } = require("../helpers/attribute_helpers");
+
+// lower bounds of the price ranges counted by the facets, in dollars. the last range is open-ended
+const PRICE_BUCKETS = [0, 10, 25, 50, 100, 250];
+
+const SEARCH_FIELD_WEIGHTS = { name: 3, ar_name: 3, description: 1 };
+
+// every sort ends on _id so the cursor always points at exactly one item
+const SORTS = {
+    price_asc: [['price', 1], ['_id', 1]],
+    price_desc: [['price', -1], ['_id', 1]],
+    newest: [['createdAt', -1], ['_id', 1]],
+    // discount_rank is computed by discountRank, it is not stored on the item
+    discount: [['discount_rank', -1], ['_id', 1]],
+    name: [['ar_name', 1], ['name', 1], ['_id', 1]],
+};
+const DEFAULT_SORT = [['_id', 1]];
+const NAME_COLLATION = { locale: 'ar' };
+
+const sortKeys = (sort) => {
+    if (!sort) return DEFAULT_SORT;
+    if (!SORTS[sort]) throw new Error("Invalid sort option");
+    return SORTS[sort];
+}
+
+// the brand an item is put in has to exist, an empty value means no brand
+const brandIdFor = async (brand_id) => {
+    if (!brand_id) return undefined;
+    const brand = mongoose.isValidObjectId(brand_id) ? await BrandModel.exists({ _id: brand_id }) : null;
+    if (!brand) throw new Error("Brand not found");
+    return brand._id;
+}
 
 // Modify the create function
-const create = async (name, ar_name, description, price, discount, images, sub_category_id, main_category_id, is_hidden = false) => {
-    const item = new itemModel({ name, ar_name, price, discount, description, sub_category_id, main_category_id, is_hidden });
+const create = async (name, ar_name, description, price, discount, images, sub_category_id, main_category_id, is_hidden = false, low_stock_threshold, fixed_local_price, discount_type, brand_id, actor) => {
+    const item = new itemModel({ name, ar_name, price, discount, discount_type, description, sub_category_id, main_category_id, brand_id: await brandIdFor(brand_id), is_hidden, low_stock_threshold, fixed_local_price: fixed_local_price || undefined });
     for (const image in images) {
         const { url } = await saveFileToCloudinary(images[image].buffer);
         item.images.push(url);
     }
     await item.save();
+    await AuditServices.record(actor, 'item', null, item);
     return item;
 }
 
 
-const remove = async (id) => {
+const remove = async (id, actor) => {
     const item = await ItemModel.findByIdAndDelete(id);
     if (!item) throw new Error("Item not found");
     for (const image of item.images) {
         await deleteFileFromCloudinary(image);
     }
+    await AuditServices.record(actor, 'item', item, null);
     return item;
 }
 
-const getById = async (id) => {
-    return ItemModel.findById(id)
+// what present() needs for the prices: the dollar price, its rounding and the running campaigns
+const getPricing = async () => {
+    return { ...await SettingsServices.getPricing(), campaigns: await CampaignServices.active() };
+}
+
+// the read endpoints answer with the stored item plus the values computed from it,
+// the local prices and the effective discount need the pricing from getPricing. with a currency
+// from CurrencyServices.resolve the dollar prices are converted to it, the local currency
+// takes the local prices instead so the fixed local price is respected
+const present = (item, pricing, currency) => {
+    const json = item.toJSON();
+    const local = Boolean(currency && currency.local && pricing);
+    const convert = (amount) => currency ? convertPrice(amount, currency) : amount;
+    // fixed discounts are dollar amounts like the prices, percentages stay as they are
+    const convertDiscount = (value, type) => {
+        if (value === undefined || value === null || type !== 'fixed') return value;
+        return convert(value);
+    };
+    const computed = (variant) => {
+        if (!pricing) return {};
+        const discount = effectiveDiscount(item, variant, pricing.campaigns);
+        const prices = localPrices(item, variant, pricing);
+        return {
+            final_price: local ? prices.local_discounted_price : convert(discountedPrice(basePrice(item, variant), discount)),
+            ...prices,
+            effective_discount: discount && {
+                type: discount.type,
+                value: discount.type === 'fixed' ? convert(discount.value) : discount.value,
+                campaign: discount.campaign && {
+                    _id: discount.campaign._id,
+                    name: discount.campaign.name,
+                    ends_at: discount.campaign.ends_at,
+                },
+            },
+        };
+    };
+    // a variant without its own price keeps null, it takes the item's
+    const priceOf = (variant) => {
+        const own = variant ? variant.price : item.price;
+        if (!local || own === undefined || own === null) return convert(own);
+        return localPrices(item, variant, pricing).local_price;
+    };
+    const range = local ? localRange(item, pricing) : priceRange(item);
+
+    const presented = {
+        ...json,
+        price: priceOf(null),
+        discount: convertDiscount(json.discount, json.discount_type),
+        ...computed(null),
+        variants: (json.variants || []).map((variant, i) => ({
+            ...variant,
+            price: priceOf(item.variants[i]),
+            discount: convertDiscount(variant.discount, variant.discount_type || json.discount_type),
+            ...computed(item.variants[i]),
+            out_of_stock: !variantInStock(variant),
+        })),
+        price_range: local ? range : { min: convert(range.min), max: convert(range.max) },
+        out_of_stock: !itemInStock(item),
+    };
+    if (currency) presented.currency = { code: currency.code, symbol: currency.symbol };
+    return presented;
+}
+
+const PRICE_FIELDS = ['price', 'discount', 'discount_type', 'fixed_local_price', 'variants'];
+
+// the item's prices as they were at `date`, with the dollar price and rounding of that time
+const priceAt = async (id, date) => {
+    const at = parseDate(date, null);
+    if (!at) throw new Error("Invalid date");
+
+    const item = await ItemModel.findById(id);
+    if (!item) throw new Error("Item not found");
+    const state = await AuditServices.stateAt('item', item._id, item.toObject(), PRICE_FIELDS, at);
+    if (!state || item.createdAt > at) throw new Error("Item did not exist at that date");
+
+    // the audit state only holds prices, campaigns are matched on the ids of the item as it is now
+    const priced = { ...state, _id: item._id, sub_category_id: item.sub_category_id, main_category_id: item.main_category_id };
+    const pricing = { ...await SettingsServices.getPricingAt(at), campaigns: await CampaignServices.active(at) };
+    const variants = state.variants || [];
+    return {
+        item_id: item._id,
+        date: at,
+        rate: pricing.rate,
+        price: state.price,
+        discount: state.discount,
+        discount_type: state.discount_type || 'percentage',
+        fixed_local_price: state.fixed_local_price,
+        final_price: discountedPrice(state.price, effectiveDiscount(priced, null, pricing.campaigns)),
+        ...localPrices(priced, null, pricing),
+        variants: variants.map(variant => ({
+            _id: variant._id,
+            options: variant.options,
+            price: variant.price ?? null,
+            discount: variant.discount ?? null,
+            discount_type: variant.discount_type ?? null,
+            final_price: discountedPrice(basePrice(priced, variant), effectiveDiscount(priced, variant, pricing.campaigns)),
+            ...localPrices(priced, variant, pricing),
+        })),
+    };
+}
+
+const getById = async (id, currency_code) => {
+    const currency = await CurrencyServices.resolve(currency_code);
+    const item = await ItemModel.findById(id)
         .populate('main_category_id')
-        .populate('sub_category_id');
+        .populate('sub_category_id')
+        .populate('brand_id');
+    return item && present(item, await getPricing(), currency);
 }
 
 
 // Modify the update function
-const update = async (id, name, ar_name, description, price, discount, sub_category_id, main_category_id, is_hidden) => {
+const update = async (id, name, ar_name, description, price, discount, sub_category_id, main_category_id, is_hidden, low_stock_threshold, fixed_local_price, discount_type, brand_id, actor) => {
     const item = await itemModel.findById(id);
     if (!item) throw new Error("Item not found");
+    const before = AuditServices.snapshot(item);
 
     item.name = name || item.name;
     item.description = description || item.description;
-    item.price = price || item.price;
+    // 0 is a valid price and discount, only a missing value keeps the old one
+    item.price = price !== undefined ? price : item.price;
     item.sub_category_id = sub_category_id || item.sub_category_id;
     item.main_category_id = main_category_id || item.main_category_id;
-    item.discount = discount || item.discount;
+    // the attribute values have to fit the definitions of the new categories
+    const attributes = item.attributes || {};
+    if ((item.isModified('sub_category_id') || item.isModified('main_category_id')) && Object.keys(attributes).length) {
+        const definitions = await AttributeServices.definitionsFor(item.main_category_id, item.sub_category_id);
+        item.attributes = validateValues(definitions, attributes);
+    }
+    // an empty value takes the item out of its brand
+    if (brand_id !== undefined) item.brand_id = await brandIdFor(brand_id);
+    item.discount = discount !== undefined ? discount : item.discount;
+    item.discount_type = discount_type !== undefined ? discount_type : item.discount_type;
     item.ar_name = ar_name || item.ar_name;
     item.is_hidden = is_hidden !== undefined ? is_hidden : item.is_hidden;
+    item.low_stock_threshold = low_stock_threshold !== undefined ? low_stock_threshold : item.low_stock_threshold;
+    // an empty value removes the override
+    if (fixed_local_price !== undefined) item.fixed_local_price = fixed_local_price === '' || fixed_local_price === null ? undefined : fixed_local_price;
     await item.save();
+    await AuditServices.record(actor, 'item', before, item);
 
     return item;
 };
 
-// Modify the index function to filter out hidden items by default
-const index = async (main_category_id, sub_category_id, max_price, min_price, discount, cursor, limit, include_hidden = false) => {
+// the items a running campaign applies to, {} when it is for the whole store
+const campaignCondition = (campaign) => {
+    const ids = campaign.target_ids || [];
+    switch (campaign.scope) {
+        case 'item':
+            return { _id: { $in: ids } };
+        case 'sub_category':
+            return { sub_category_id: { $in: ids } };
+        case 'main_category':
+            return { main_category_id: { $in: ids } };
+        default:
+            return {};
+    }
+}
+
+// the percent a discount takes off the item's price, fixed amounts relative to that price
+const percentOff = (type, value) => ({
+    $cond: [
+        { $eq: [type, 'fixed'] },
+        { $cond: [{ $gt: ['$price', 0] }, { $min: [100, { $multiply: [{ $divide: [value, '$price'] }, 100] }] }, 0] },
+        { $min: [100, value] },
+    ],
+});
+
+// aggregation expression for the effective discount of an item as a percent, the biggest of its
+// own discount and the running campaigns that apply to it, like effectiveDiscount picks it
+const discountRank = (campaigns = []) => {
+    const own = percentOff({ $ifNull: ['$discount_type', 'percentage'] }, { $ifNull: ['$discount', 0] });
+    const fromCampaigns = campaigns.map(campaign => {
+        const ids = campaign.target_ids || [];
+        const applies = {
+            item: { $in: ['$_id', ids] },
+            sub_category: { $in: ['$sub_category_id', ids] },
+            main_category: { $in: ['$main_category_id', ids] },
+        }[campaign.scope] || true;
+        return { $cond: [applies, percentOff(campaign.type, campaign.value), 0] };
+    });
+    return { $max: [own, ...fromCampaigns] };
+}
+
+// the filters shared by the listing and the search, `campaigns` are the running ones
+// so the discount filter works on the effective discount
+const buildFilter = (main_category_id, sub_category_id, max_price, min_price, discount, include_hidden = false, campaigns = [], brand_id, attribute_conditions = []) => {
     const filter = {};
-    
+
     if (!include_hidden) {
         filter.is_hidden = false;
     }
@@ -61,69 +270,308 @@ const index = async (main_category_id, sub_category_id, max_price, min_price, di
     if (sub_category_id) {
         filter.sub_category_id = sub_category_id;
     }
+    if (brand_id) {
+        filter.brand_id = brand_id;
+    }
     if (max_price) {
         filter.price = { ...filter.price, $lte: max_price };
     }
     if (min_price) {
         filter.price = { ...filter.price, $gte: min_price };
     }
-    if (cursor) {
-        filter._id = { $gt: cursor };
+    if (attribute_conditions.length) {
+        filter.$and = [...(filter.$and || []), ...attribute_conditions];
     }
+    // items without a discount field count as not discounted, so the two filters split the catalog
+    const discounted = [{ discount: { $gt: 0 } }, { 'variants.discount': { $gt: 0 } }, ...campaigns.map(campaignCondition)];
     if (discount == 1) {
-        filter.discount = { ...filter.discount, $gt: 0 };
+        filter.$and = [...(filter.$and || []), { $or: discounted }];
     }
     if (discount == 0) {
-        filter.discount = { ...filter.discount, $lte: 0 };
+        filter.$nor = discounted;
+    }
+    return filter;
+}
+
+const nextCursor = (items, sort) => {
+    const last = items[items.length - 1];
+    if (!sort) return last._id;
+    return encodeCursor(last, sortKeys(sort));
+}
+
+// aggregation does not cast like find does
+const matchStage = (filter) => {
+    return { $match: ItemModel.find().cast(ItemModel, filter) };
+}
+
+// a page of items sorted on `field`, a value computed by `expression` for every item. the keyset
+// cursor works on the computed value, so it is taken from the aggregated documents
+const rankedPage = async (filter, field, expression, keys, cursor, limit) => {
+    const pipeline = [matchStage(filter), { $addFields: { [field]: expression } }];
+    if (cursor) pipeline.push({ $match: cursorFilter(keys, decodeCursor(cursor, keys)) });
+    pipeline.push({ $sort: Object.fromEntries(keys) });
+    if (Number(limit) > 0) pipeline.push({ $limit: Number(limit) });
+
+    const ranked = await ItemModel.aggregate(pipeline);
+    const items = await ItemModel.populate(
+        ranked.map(({ [field]: computed, ...stored }) => ItemModel.hydrate(stored)),
+        ['main_category_id', 'sub_category_id', 'brand_id']
+    );
+    return { items, cursor: ranked.length ? encodeCursor(ranked[ranked.length - 1], keys) : null };
+}
+
+// counts the items per value of a reference field, with the name of the referenced document
+const countStages = (field, model) => {
+    return [
+        { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+        { $lookup: { from: model.collection.name, localField: '_id', foreignField: '_id', as: 'ref' } },
+        { $sort: { count: -1, _id: 1 } },
+    ];
+}
+
+// items without a value are counted under null
+const namedCounts = (counts, key) => {
+    return counts.map(({ _id, count, ref }) => ({
+        [key]: _id ?? null,
+        name: ref.length ? ref[0].name : null,
+        count,
+    }));
+}
+
+// item counts per brand under the other filters, the brand filter itself is left out
+// so the other brands stay selectable
+const brandCounts = async (filter) => {
+    const { brand_id, ...rest } = filter;
+    const counts = await ItemModel.aggregate([matchStage(rest), ...countStages('brand_id', BrandModel)]);
+    return namedCounts(counts, 'brand_id');
+}
+
+// counts the values of the item attributes, only of `keys` or of every key but them
+const attributeStages = (keys, exclude) => {
+    return [
+        { $project: { attribute: { $objectToArray: { $ifNull: ['$attributes', {}] } } } },
+        { $unwind: '$attribute' },
+        { $match: { 'attribute.k': exclude ? { $nin: keys } : { $in: keys } } },
+        { $group: { _id: { key: '$attribute.k', value: '$attribute.v' }, count: { $sum: 1 } } },
+        { $sort: { count: -1 } },
+    ];
+}
+
+// counts for the storefront filters under the same filters as index. every dimension is
+// counted without its own filter, so the other values of it stay selectable
+const facets = async (main_category_id, sub_category_id, max_price, min_price, discount, include_hidden = false, currency_code, brand_id, attribute_conditions = []) => {
+    const currency = await CurrencyServices.resolve(currency_code);
+    const pricing = await getPricing();
+    const params = {
+        main_category_id,
+        sub_category_id,
+        max_price: toBasePrice(max_price, currency),
+        min_price: toBasePrice(min_price, currency),
+        discount,
+        brand_id,
+    };
+    const match = (overrides = {}, conditions = attribute_conditions) => {
+        const p = { ...params, ...overrides };
+        return matchStage(buildFilter(p.main_category_id, p.sub_category_id, p.max_price, p.min_price, p.discount, include_hidden, pricing.campaigns, p.brand_id, conditions));
+    };
+
+    const keyOf = (condition) => Object.keys(condition)[0].slice('attributes.'.length);
+    const filteredKeys = [...new Set(attribute_conditions.map(keyOf))];
+
+    const branches = {
+        total: [match(), { $count: 'count' }],
+        main_categories: [match({ main_category_id: undefined, sub_category_id: undefined }), ...countStages('main_category_id', CategoryModel)],
+        sub_categories: [match({ sub_category_id: undefined }), ...countStages('sub_category_id', SubCategoryModel)],
+        brands: [match({ brand_id: undefined }), ...countStages('brand_id', BrandModel)],
+        price_ranges: [
+            match({ max_price: undefined, min_price: undefined }),
+            { $match: { price: { $ne: null } } },
+            { $bucket: { groupBy: '$price', boundaries: PRICE_BUCKETS, default: 'more', output: { count: { $sum: 1 } } } },
+        ],
+        discounted: [match({ discount: 1 }), { $count: 'count' }],
+        not_discounted: [match({ discount: 0 }), { $count: 'count' }],
+        attributes: [match(), ...attributeStages(filteredKeys, true)],
+    };
+    for (const key of filteredKeys) {
+        const others = attribute_conditions.filter(condition => keyOf(condition) !== key);
+        branches[`attributes_${key}`] = [match({}, others), ...attributeStages([key], false)];
     }
 
+    const [result] = await ItemModel.aggregate([{ $facet: branches }]);
+    const convert = (amount) => currency ? convertPrice(amount, currency) : amount;
+    const countOf = (branch) => branch.length ? branch[0].count : 0;
 
-    return await itemModel.find(filter)
+    const attributes = {};
+    for (const [name, branch] of Object.entries(result)) {
+        if (!name.startsWith('attributes')) continue;
+        for (const { _id, count } of branch) {
+            (attributes[_id.key] = attributes[_id.key] || []).push({ value: _id.value, count });
+        }
+    }
+
+    return {
+        total: countOf(result.total),
+        main_categories: namedCounts(result.main_categories, 'main_category_id'),
+        sub_categories: namedCounts(result.sub_categories, 'sub_category_id'),
+        brands: namedCounts(result.brands, 'brand_id'),
+        price_ranges: result.price_ranges.map(({ _id, count }) => {
+            const last = _id === 'more';
+            const index = PRICE_BUCKETS.indexOf(_id);
+            return {
+                min: convert(last ? PRICE_BUCKETS[PRICE_BUCKETS.length - 1] : _id),
+                max: last ? null : convert(PRICE_BUCKETS[index + 1]),
+                count,
+            };
+        }),
+        discount: {
+            with: countOf(result.discounted),
+            without: countOf(result.not_discounted),
+        },
+        attributes,
+    };
+}
+
+// Modify the index function to filter out hidden items by default
+const index = async (main_category_id, sub_category_id, max_price, min_price, discount, cursor, limit, include_hidden = false, sort, currency_code, brand_id, attribute_conditions) => {
+    const currency = await CurrencyServices.resolve(currency_code);
+    const pricing = await getPricing();
+    const filter = buildFilter(main_category_id, sub_category_id, toBasePrice(max_price, currency), toBasePrice(min_price, currency), discount, include_hidden, pricing.campaigns, brand_id, attribute_conditions);
+    const brands = await brandCounts(filter);
+    const keys = sortKeys(sort);
+    if (sort === 'discount') {
+        const page = await rankedPage(filter, 'discount_rank', discountRank(pricing.campaigns), keys, cursor, limit);
+        return { items: page.items.map(item => present(item, pricing, currency)), cursor: page.cursor, brands };
+    }
+    if (cursor && !sort) {
+        // the unsorted listing keeps the plain _id cursor it always had
+        filter._id = { $gt: cursor };
+    } else if (cursor) {
+        filter.$and = [...(filter.$and || []), cursorFilter(keys, decodeCursor(cursor, keys))];
+    }
+
+    const query = itemModel.find(filter)
+        .sort(keys)
         .limit(limit)
         .populate('main_category_id')
-        .populate('sub_category_id');
+        .populate('sub_category_id')
+        .populate('brand_id');
+    if (sort === 'name') query.collation(NAME_COLLATION);
+
+    const items = await query;
+    // the cursor is taken from the stored item, the presented one may carry converted prices
+    return {
+        items: items.map(item => present(item, pricing, currency)),
+        cursor: items.length ? nextCursor(items, sort) : null,
+        brands,
+    };
 };
 
-const add_item_photo = async (item_id, images) => {
+const SEARCH_SORT = [['search_score', -1], ['_id', 1]];
+
+const matches = (input, pattern) => ({ $regexMatch: { input, regex: pattern } });
+
+// aggregation expression for the relevance of an item. a whole-field match beats a word starting
+// with the term, which beats the term anywhere in a word. the search fields are normalized and
+// their words separated by single spaces
+const searchScore = (query, tokens) => {
+    const parts = [];
+    for (const [field, weight] of Object.entries(SEARCH_FIELD_WEIGHTS)) {
+        const text = { $ifNull: [`$search.${field}`, ''] };
+        parts.push({
+            $cond: [{ $eq: [text, query] }, 10 * weight, { $cond: [matches(text, escapeRegex(query)), 4 * weight, 0] }],
+        });
+        for (const token of tokens) {
+            const term = escapeRegex(token);
+            parts.push({
+                $switch: {
+                    branches: [
+                        { case: matches(text, `(^| )${term}( |$)`), then: 3 * weight },
+                        { case: matches(text, `(^| )${term}`), then: 2 * weight },
+                        { case: matches(text, term), then: weight },
+                    ],
+                    default: 0,
+                },
+            });
+        }
+    }
+    return { $add: parts };
+}
+
+// every term has to appear in the name, the arabic name or the description. the items are
+// ranked in the query so the pages go through all matches, best match first
+const search = async (q, main_category_id, sub_category_id, max_price, min_price, discount, limit = 20, include_hidden = false, currency_code, brand_id, attribute_conditions, cursor) => {
+    const tokens = tokenize(q);
+    if (!tokens.length) throw new Error("Search query is required");
+
+    const currency = await CurrencyServices.resolve(currency_code);
+    const pricing = await getPricing();
+    const filter = buildFilter(main_category_id, sub_category_id, toBasePrice(max_price, currency), toBasePrice(min_price, currency), discount, include_hidden, pricing.campaigns, brand_id, attribute_conditions);
+    filter.$and = [...(filter.$and || []), ...tokens.map(token => {
+        const regex = new RegExp(escapeRegex(token));
+        return { $or: Object.keys(SEARCH_FIELD_WEIGHTS).map(field => ({ [`search.${field}`]: regex })) };
+    })];
+
+    const page = await rankedPage(filter, 'search_score', searchScore(normalize(q), tokens), SEARCH_SORT, cursor, Number(limit) || 20);
+    return { items: page.items.map(item => present(item, pricing, currency)), cursor: page.cursor };
+}
+
+const add_item_photo = async (item_id, images, actor) => {
     const item = await ItemModel.findById(item_id);
     if (!item) throw new Error("faq not found ")
+    const before = AuditServices.snapshot(item);
     for (const image in images) {
         const { url } = await saveFileToCloudinary(images[image].buffer);
         item.images.push(url);
     }
 
-    item.save();
+    await item.save();
+    await AuditServices.record(actor, 'item', before, item);
     return item;
 
 }
 
-const remove_item_photo = async (item_id, index) => {
-    const item = await ItemModel.findById(item_id);
-    if (!item) throw new Error("item not found ")
-    console.log(index)
+// takes the photo off the item without saving it, the callers save and log the change
+const takeItemPhoto = async (item, index) => {
     if (!item.images[index]) throw new Error("photo not found");
     await deleteFileFromCloudinary(item.images[index]);
     item.images.splice(index, 1);
+}
+
+const remove_item_photo = async (item_id, index, actor) => {
+    const item = await ItemModel.findById(item_id);
+    if (!item) throw new Error("item not found ")
+    console.log(index)
+    const before = AuditServices.snapshot(item);
+    await takeItemPhoto(item, index);
     await item.save();
+    await AuditServices.record(actor, 'item', before, item);
     return item;
 }
 
 
-const edit_item_photo = async (item_id, index, image) => {
-    let item = await ItemModel.findById(item_id);
-    item = await remove_item_photo(item_id, index);
+const edit_item_photo = async (item_id, index, image, actor) => {
+    const item = await ItemModel.findById(item_id);
+    if (!item) throw new Error("item not found ")
+    const before = AuditServices.snapshot(item);
+    await takeItemPhoto(item, index);
     const { url } = await saveFileToCloudinary(image.buffer);
     item.images.splice(index, 0, url);
     await item.save();
+    await AuditServices.record(actor, 'item', before, item);
     return item;
 }
 
 module.exports = {
     create,
     index,
+    present,
+    getPricing,
+    facets,
+    search,
     remove,
     update,
     getById,
+    priceAt,
     add_item_photo,
     edit_item_photo,
     remove_item_photo
@@ -0,0 +1,48 @@
+const LoginAttemptModel = require('../models/login_attempt_model');
+
+const MAX_ATTEMPTS = Number(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+const BASE_LOCK_SECONDS = Number(process.env.LOGIN_LOCK_SECONDS) || 30;
+const MAX_LOCK_SECONDS = Number(process.env.LOGIN_MAX_LOCK_SECONDS) || 60 * 60;
+
+const userKey = (user_name) => `user:${String(user_name).toLowerCase()}`;
+
+const ipKey = (ip) => `ip:${ip}`;
+
+const assertNotLocked = async (keys) => {
+    const locked = await LoginAttemptModel.find({key: {$in: keys}, locked_until: {$gt: new Date()}});
+    if (!locked.length) return;
+
+    const until = Math.max(...locked.map(attempt => attempt.locked_until.getTime()));
+    const err = new Error('Too many login attempts, try again later');
+    err.retry_after = Math.ceil((until - Date.now()) / 1000);
+    throw err;
+}
+
+// every failure past the limit doubles the lock, up to MAX_LOCK_SECONDS
+const registerFailure = async (keys) => {
+    for (const key of keys) {
+        const attempt = await LoginAttemptModel.findOneAndUpdate(
+            {key},
+            {$inc: {failures: 1}, $set: {last_failure_at: new Date()}},
+            {upsert: true, new: true}
+        );
+
+        if (attempt.failures >= MAX_ATTEMPTS) {
+            const seconds = Math.min(BASE_LOCK_SECONDS * 2 ** (attempt.failures - MAX_ATTEMPTS), MAX_LOCK_SECONDS);
+            attempt.locked_until = new Date(Date.now() + seconds * 1000);
+            await attempt.save();
+        }
+    }
+}
+
+const reset = async (keys) => {
+    await LoginAttemptModel.deleteMany({key: {$in: keys}});
+}
+
+module.exports = {
+    userKey,
+    ipKey,
+    assertNotLocked,
+    registerFailure,
+    reset,
+};
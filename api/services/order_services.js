@@ -0,0 +1,247 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const OrderModel = require("../models/order_model");
+const CartModel = require("../models/cart_model");
+const ItemModel = require("../models/item_model");
+const CartServices = require("./cart_services");
+const StockServices = require("./stock_services");
+const AuditServices = require("./audit_services");
+const DeliveryZoneServices = require("./delivery_zone_services");
+const CouponServices = require("./coupon_services");
+const { ORDER_STATUSES, canTransition } = require("../helpers/order_helpers");
+const { isTracked } = require("../helpers/stock_helpers");
+const { normalizePhone, isValidPhone } = require("../helpers/phone_helpers");
+
+// no 0/O or 1/I so it can be read out over the phone
+const REFERENCE_ALPHABET = '23456789ABCDEFGHJKLMNPQRSTUVWXYZ';
+
+const generateReference = () => {
+    const bytes = crypto.randomBytes(6);
+    return 'AM-' + Array.from(bytes, byte => REFERENCE_ALPHABET[byte % REFERENCE_ALPHABET.length]).join('');
+}
+
+const findOrder = async (id) => {
+    const order = await OrderModel.findById(id);
+    if (!order) throw new Error("Order not found");
+    return order;
+}
+
+// lines sent in the body, for clients that keep the cart themselves
+const parseLines = (lines) => {
+    if (typeof lines === 'string') {
+        try {
+            lines = JSON.parse(lines);
+        } catch (err) {
+            throw new Error("Invalid order lines");
+        }
+    }
+    if (!Array.isArray(lines)) throw new Error("Invalid order lines");
+    return lines.map(line => {
+        if (!line || !mongoose.isValidObjectId(line.item_id)) throw new Error("Invalid order lines");
+        // capped like the cart lines
+        const quantity = CartServices.parseQuantity(line.quantity ?? 1);
+        return { item_id: line.item_id, variant_id: line.variant_id || null, quantity };
+    });
+}
+
+const validateCustomer = (name, phone, address) => {
+    if (!name || !phone || !address) throw new Error("Customer name, phone and address are required");
+    if (!isValidPhone(phone)) throw new Error("Invalid phone number");
+}
+
+// places an order from the cart of `cart_token`, or from `lines` when there is no cart.
+// the prices, discounts, coupon, delivery fee and dollar price of this moment are copied into
+// the order. a zone is needed as soon as the store has any
+const place = async (cart_token, lines, customer_name, customer_phone, customer_address, note, delivery_zone_id, coupon_code) => {
+    validateCustomer(customer_name, customer_phone, customer_address);
+
+    const cart = cart_token ? await CartServices.findCart(cart_token) : null;
+    const orderLines = cart ? cart.lines : parseLines(lines || []);
+    if (!orderLines.length) throw new Error("Cart is empty");
+
+    let zone = null;
+    if (delivery_zone_id) zone = await DeliveryZoneServices.findActive(delivery_zone_id);
+    else if (cart) zone = await CartServices.cartZone(cart);
+    if (!zone && await DeliveryZoneServices.hasActive()) throw new Error("Delivery zone is required");
+
+    let coupon = null;
+    if (coupon_code) coupon = await CouponServices.findByCode(coupon_code);
+    else if (cart) coupon = await CartServices.cartCoupon(cart);
+    if (coupon_code && !coupon) throw new Error("Invalid coupon code");
+
+    const priced = await CartServices.resolveLines(orderLines, undefined, zone, coupon);
+    // the cart shows which lines and why
+    if (priced.lines.some(line => line.unavailable)) throw new Error("Some items are not available");
+    if (priced.coupon && priced.coupon.error) throw new Error(priced.coupon.error);
+
+    const order = new OrderModel({
+        reference: generateReference(),
+        customer: {
+            name: String(customer_name).trim(),
+            phone: normalizePhone(customer_phone),
+            address: String(customer_address).trim(),
+        },
+        note,
+        lines: priced.lines.map(line => ({
+            item_id: line.item_id,
+            variant_id: line.variant_id || undefined,
+            name: line.name,
+            ar_name: line.ar_name,
+            options: line.options,
+            quantity: line.quantity,
+            price: line.price,
+            discount: line.effective_discount && {
+                type: line.effective_discount.type,
+                value: line.effective_discount.value,
+                campaign: line.effective_discount.campaign && line.effective_discount.campaign._id,
+            },
+            unit_price: line.unit_price,
+            local_unit_price: line.local_unit_price,
+            line_total: line.line_total,
+            local_line_total: line.local_line_total,
+        })),
+        subtotal: priced.subtotal,
+        local_subtotal: priced.local_subtotal,
+        coupon: priced.coupon && {
+            coupon_id: priced.coupon.coupon_id,
+            code: priced.coupon.code,
+            type: priced.coupon.type,
+            value: priced.coupon.value,
+            discount: priced.coupon.discount,
+            local_discount: priced.coupon.local_discount,
+        },
+        delivery: priced.delivery && {
+            zone_id: priced.delivery.zone_id,
+            name: priced.delivery.name,
+            ar_name: priced.delivery.ar_name,
+            estimated_time: priced.delivery.estimated_time,
+            fee: priced.delivery.fee,
+            local_fee: priced.delivery.local_fee,
+        },
+        total: priced.total,
+        local_total: priced.local_total,
+        exchange_rate: priced.rate,
+        whatsapp_phone: cart ? cart.whatsapp_phone : undefined,
+        status_history: [{ status: 'pending' }],
+    });
+    if (coupon) await CouponServices.redeem(coupon, order, priced.coupon.discount);
+
+    // a taken reference is unlikely, but it is cheaper to retry than to check first
+    try {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                await order.save();
+                break;
+            } catch (err) {
+                if (err.code !== 11000 || attempt === 3) throw err;
+                order.reference = generateReference();
+            }
+        }
+    } catch (err) {
+        if (coupon) await CouponServices.release(order);
+        throw err;
+    }
+
+    if (cart) await CartModel.deleteOne({ _id: cart._id });
+    return order;
+}
+
+const index = async (status, phone, reference, from, to, cursor, limit = 50) => {
+    const filter = {};
+
+    if (status) {
+        if (!ORDER_STATUSES.includes(status)) throw new Error("Invalid order status");
+        filter.status = status;
+    }
+    if (phone) {
+        filter['customer.phone'] = normalizePhone(phone);
+    }
+    if (reference) {
+        filter.reference = String(reference).trim().toUpperCase();
+    }
+    if (from) {
+        filter.createdAt = {...filter.createdAt, $gte: new Date(from)};
+    }
+    if (to) {
+        filter.createdAt = {...filter.createdAt, $lte: new Date(to)};
+    }
+    if (cursor) {
+        filter._id = {$lt: cursor};
+    }
+
+    return OrderModel.find(filter)
+        .sort({_id: -1})
+        .limit(Number(limit) || 50);
+}
+
+const getById = async (id) => {
+    return findOrder(id);
+}
+
+// the lines whose item (or variant) keeps track of its stock
+const trackedLines = async (order) => {
+    const items = await ItemModel.find({ _id: { $in: order.lines.map(line => line.item_id) } });
+    const itemsById = new Map(items.map(item => [String(item._id), item]));
+    return order.lines.filter(line => {
+        const item = itemsById.get(String(line.item_id));
+        if (!item) return false;
+        const source = line.variant_id ? item.variants.id(line.variant_id) : item;
+        return source && isTracked(source.stock);
+    });
+}
+
+// takes the ordered quantities from the stock, all of them or none
+const deductStock = async (order, actor) => {
+    const deducted = [];
+    try {
+        for (const line of await trackedLines(order)) {
+            await StockServices.record_movement(line.item_id, line.variant_id, 'sold', line.quantity, `Order ${order.reference}`, actor);
+            line.stock_deducted = true;
+            deducted.push(line);
+        }
+    } catch (err) {
+        for (const line of deducted) {
+            await StockServices.record_movement(line.item_id, line.variant_id, 'returned', line.quantity, `Order ${order.reference} could not be confirmed`, actor);
+            line.stock_deducted = false;
+        }
+        throw err;
+    }
+}
+
+const restoreStock = async (order, actor) => {
+    for (const line of order.lines.filter(line => line.stock_deducted)) {
+        await StockServices.record_movement(line.item_id, line.variant_id, 'returned', line.quantity, `Order ${order.reference} cancelled`, actor);
+        line.stock_deducted = false;
+    }
+}
+
+// moves the order along the workflow, confirming takes the items from the stock and
+// cancelling a confirmed order puts them back. a cancelled order gives its coupon use back
+const transition = async (id, status, note, actor) => {
+    const order = await findOrder(id);
+    if (!ORDER_STATUSES.includes(status)) throw new Error("Invalid order status");
+    if (!canTransition(order.status, status)) throw new Error("Invalid status transition");
+    const before = AuditServices.snapshot(order);
+
+    if (status === 'confirmed') await deductStock(order, actor);
+    if (status === 'cancelled') await restoreStock(order, actor);
+    if (status === 'cancelled' && order.coupon) await CouponServices.release(order);
+
+    order.status = status;
+    order.status_history.push({
+        status,
+        note,
+        user_id: actor && actor.id,
+        user_name: actor && actor.user_name,
+    });
+    await order.save();
+    await AuditServices.record(actor, 'order', before, order);
+    return order;
+}
+
+module.exports = {
+    place,
+    index,
+    getById,
+    transition,
+};
@@ -1,131 +1,153 @@
 const SettingsModel = require('../models/settings_model');
 const { saveFileToCloudinary, uploadPath, deleteFileFromCloudinary } = require("../helpers/file_helpers");
+const AuditServices = require("./audit_services");
+const ExchangeRateServices = require("./exchange_rate_services");
 
 
 const get = async () => {
     return SettingsModel.find();
 }
 
-const update_dollar_price = async (dollar_price) => {
-    settings = await SettingsModel.findOne();
-    if (!settings)
-        settings = new SettingsModel.create()
-    settings.dollar_price = dollar_price;
-    settings.save();
-    return settings;
+const getSettings = async () => {
+    const settings = await SettingsModel.findOne();
+    return settings || new SettingsModel();
 }
 
-const update_about_us = async (about_us) => {
-    settings = await SettingsModel.findOne();
-    if (!settings)
-        settings = new SettingsModel.create()
-    settings.about_us = about_us;
-    settings.save();
+// applies `change` to the settings document, saves it and writes the audit log
+const updateSettings = async (actor, change) => {
+    const settings = await getSettings();
+    const before = settings.isNew ? null : AuditServices.snapshot(settings);
+    await change(settings);
+    await settings.save();
+    await AuditServices.record(actor, 'settings', before, settings);
     return settings;
 }
 
-const add_photo_to_hero = async (images) => {
-    const settings = await SettingsModel.findOne();
-
-    if (!settings)
-        settings = new SettingsModel.create();
+// what the item responses need to show local prices
+const getPricing = async () => {
+    const settings = await getSettings();
+    return { rate: settings.dollar_price, rounding: settings.price_rounding || {} };
+}
 
-    for (const image in images) {
-        const { url } = await saveFileToCloudinary(images[image].buffer);
-        settings.hero.push(url);
-    }
+// the pricing as it was at `date`, for answering what a customer was shown back then
+const getPricingAt = async (date) => {
+    const settings = await getSettings();
+    const state = settings.isNew
+        ? null
+        : await AuditServices.stateAt('settings', settings._id, settings.toObject(), ['price_rounding'], date);
+    return {
+        rate: await ExchangeRateServices.rateAt(date),
+        rounding: (state && state.price_rounding) || settings.price_rounding || {},
+    };
+}
 
-    settings.save();
+const update_dollar_price = async (dollar_price, actor) => {
+    let previous_rate;
+    const settings = await updateSettings(actor, (settings) => {
+        previous_rate = settings.dollar_price;
+        settings.dollar_price = dollar_price;
+    });
+    if (settings.dollar_price !== previous_rate)
+        await ExchangeRateServices.record(previous_rate, settings.dollar_price, actor);
     return settings;
+}
 
+const dollar_history = async (from, to) => {
+    return ExchangeRateServices.history(from, to);
 }
 
-const edit_hero_photos = async (file, index) => {
-    let settings = await SettingsModel.findOne();
-    settings = await remove_hero_photo(index);
-    const { url } = await saveFileToCloudinary(file.buffer);
-    settings.hero.splice(index, 0, url);
-    await settings.save();
-    return settings;
+const update_price_rounding = async (step, mode, actor) => {
+    return updateSettings(actor, (settings) => {
+        if (step !== undefined) settings.price_rounding.step = step;
+        if (mode !== undefined) settings.price_rounding.mode = mode;
+    });
 }
 
-const remove_hero_photo = async (index) => {
-    const settings = await SettingsModel.findOne();
-    if (!settings.hero[index]) throw new Error("photo not found");
-    await deleteFileFromCloudinary(settings.hero[index]);
-    settings.hero.splice(index, 1);
-    await settings.save();
-    return settings;
+const update_about_us = async (about_us, actor) => {
+    return updateSettings(actor, (settings) => {
+        settings.about_us = about_us;
+    });
 }
 
-const update_facebook = async (facebook) => {
-    settings = await SettingsModel.findOne();
-    if (!settings)
-        settings = new SettingsModel.create()
-    settings.social_media.facebook = facebook;
-    settings.save();
-    return settings;
+const add_photo_to_hero = async (images, actor) => {
+    return updateSettings(actor, async (settings) => {
+        for (const image in images) {
+            const { url } = await saveFileToCloudinary(images[image].buffer);
+            settings.hero.push(url);
+        }
+    });
 }
 
-const update_youtube = async (youtube) => {
-    settings = await SettingsModel.findOne();
-    if (!settings)
-        settings = new SettingsModel.create()
-    settings.social_media.youtube = youtube;
-    settings.save();
-    return settings;
+const edit_hero_photos = async (file, index, actor) => {
+    return updateSettings(actor, async (settings) => {
+        if (!settings.hero[index]) throw new Error("photo not found");
+        await deleteFileFromCloudinary(settings.hero[index]);
+        const { url } = await saveFileToCloudinary(file.buffer);
+        settings.hero.splice(index, 1, url);
+    });
 }
 
-const update_whatsapp_channel = async (whatsapp_channel) => {
-    settings = await SettingsModel.findOne();
-    if (!settings)
-        settings = new SettingsModel.create()
-    settings.social_media.whatsapp_channel = whatsapp_channel;
-    settings.save();
-    return settings;
+const remove_hero_photo = async (index, actor) => {
+    return updateSettings(actor, async (settings) => {
+        if (!settings.hero[index]) throw new Error("photo not found");
+        await deleteFileFromCloudinary(settings.hero[index]);
+        settings.hero.splice(index, 1);
+    });
 }
-const update_instagram = async (instagram) => {
-    settings = await SettingsModel.findOne();
-    if (!settings)
-        settings = new SettingsModel.create()
-    settings.social_media.instagram = instagram;
-    settings.save();
-    return settings;
+
+const update_facebook = async (facebook, actor) => {
+    return updateSettings(actor, (settings) => {
+        settings.social_media.facebook = facebook;
+    });
 }
 
-const update_telegram = async (telegram) => {
-    settings = await SettingsModel.findOne();
-    if (!settings)
-        settings = new SettingsModel.create()
-    settings.social_media.telegram = telegram;
-    settings.save();
-    return settings;
+const update_youtube = async (youtube, actor) => {
+    return updateSettings(actor, (settings) => {
+        settings.social_media.youtube = youtube;
+    });
 }
 
-const add_whatsapp_account = async (link, phone_number, name) => {
-    settings = await SettingsModel.findOne();
-    if (!settings)
-        settings = new SettingsModel.create()
-    const whatsapp = {
-        link, phone_number, name
-    }
-    settings.social_media.whatsapp.push(whatsapp);
-    settings.save();
-    return settings;
+const update_whatsapp_channel = async (whatsapp_channel, actor) => {
+    return updateSettings(actor, (settings) => {
+        settings.social_media.whatsapp_channel = whatsapp_channel;
+    });
+}
+const update_instagram = async (instagram, actor) => {
+    return updateSettings(actor, (settings) => {
+        settings.social_media.instagram = instagram;
+    });
 }
 
-const remove_whatsapp_account = async (index) => {
-    settings = await SettingsModel.findOne();
-    if (!settings.social_media.whatsapp[index]) throw new Error("whatsapp account not found")
-    settings.social_media.whatsapp.splice(index, 1);
-    settings.save();
-    return settings;
+const update_telegram = async (telegram, actor) => {
+    return updateSettings(actor, (settings) => {
+        settings.social_media.telegram = telegram;
+    });
+}
+
+const add_whatsapp_account = async (link, phone_number, name, actor) => {
+    return updateSettings(actor, (settings) => {
+        const whatsapp = {
+            link, phone_number, name
+        }
+        settings.social_media.whatsapp.push(whatsapp);
+    });
+}
+
+const remove_whatsapp_account = async (index, actor) => {
+    return updateSettings(actor, (settings) => {
+        if (!settings.social_media.whatsapp[index]) throw new Error("whatsapp account not found")
+        settings.social_media.whatsapp.splice(index, 1);
+    });
 }
 
 
 module.exports = {
     get,
+    getPricing,
+    getPricingAt,
     update_dollar_price,
+    dollar_history,
+    update_price_rounding,
     add_photo_to_hero,
     remove_hero_photo,
     update_about_us,
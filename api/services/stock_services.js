@@ -0,0 +1,124 @@
+const ItemModel = require("../models/item_model");
+const StockMovementModel = require("../models/stock_movement_model");
+const AuditServices = require("./audit_services");
+const { present, getPricing } = require("./item_services");
+const { DEFAULT_LOW_STOCK_THRESHOLD } = require("../helpers/stock_helpers");
+
+const MOVEMENT_TYPES = ['received', 'sold', 'adjusted', 'returned'];
+
+// adjusted takes a signed quantity, the others a positive one
+const signedQuantity = (type, quantity) => {
+    const amount = Number(quantity);
+    if (!MOVEMENT_TYPES.includes(type)) throw new Error("Invalid movement type");
+    if (!Number.isInteger(amount) || amount === 0) throw new Error("Invalid quantity");
+    if (type === 'adjusted') return amount;
+    if (amount < 0) throw new Error("Invalid quantity");
+    return type === 'sold' ? -amount : amount;
+}
+
+// the stock never goes below zero, the check and the change happen in one update.
+// untracked stock starts at zero only for a movement that adds to it, a removal finds
+// no stock to take from and leaves it untracked
+const applyToItem = async (item, delta) => {
+    if ((item.stock === undefined || item.stock === null) && delta > 0)
+        await ItemModel.updateOne({ _id: item._id, stock: null }, { $set: { stock: 0 } });
+
+    const filter = { _id: item._id };
+    if (delta < 0) filter.stock = { $gte: -delta };
+    return ItemModel.findOneAndUpdate(filter, { $inc: { stock: delta } }, { new: true });
+}
+
+const applyToVariant = async (item, variant, delta) => {
+    if ((variant.stock === undefined || variant.stock === null) && delta > 0)
+        await ItemModel.updateOne(
+            { _id: item._id, variants: { $elemMatch: { _id: variant._id, stock: null } } },
+            { $set: { 'variants.$.stock': 0 } }
+        );
+
+    const match = { _id: variant._id };
+    if (delta < 0) match.stock = { $gte: -delta };
+    return ItemModel.findOneAndUpdate(
+        { _id: item._id, variants: { $elemMatch: match } },
+        { $inc: { 'variants.$.stock': delta } },
+        { new: true }
+    );
+}
+
+const record_movement = async (item_id, variant_id, type, quantity, reason, actor) => {
+    const delta = signedQuantity(type, quantity);
+
+    const item = await ItemModel.findById(item_id);
+    if (!item) throw new Error("Item not found");
+    const variant = variant_id ? item.variants.id(variant_id) : null;
+    if (variant_id && !variant) throw new Error("Variant not found");
+    // the stock of an item with variants is read from the variants only
+    if (!variant && item.variants.length) throw new Error("Variant is required");
+
+    const before = AuditServices.snapshot(item);
+    const updated = variant ? await applyToVariant(item, variant, delta) : await applyToItem(item, delta);
+    if (!updated) throw new Error("Not enough stock");
+
+    const stock_after = variant ? updated.variants.id(variant._id).stock : updated.stock;
+    const movement = await StockMovementModel.create({
+        item_id: item._id,
+        variant_id: variant && variant._id,
+        type,
+        quantity: delta,
+        stock_after,
+        reason,
+        user_id: actor && actor.id,
+    });
+    await AuditServices.record(actor, 'item', before, updated);
+
+    return movement;
+}
+
+const movements = async (item_id, variant_id, cursor, limit = 50) => {
+    const filter = { item_id };
+
+    if (variant_id) {
+        filter.variant_id = variant_id;
+    }
+    if (cursor) {
+        filter._id = { $lt: cursor };
+    }
+
+    return StockMovementModel.find(filter)
+        .sort({ _id: -1 })
+        .limit(Number(limit) || 50);
+}
+
+// items, or items with a variant, whose tracked stock is at or below their threshold
+const low_stock = async () => {
+    const threshold = { $ifNull: ['$low_stock_threshold', DEFAULT_LOW_STOCK_THRESHOLD] };
+    const isLow = (stock) => ({ $and: [{ $ne: [{ $ifNull: [stock, null] }, null] }, { $lte: [stock, threshold] }] });
+
+    const items = await ItemModel.find({
+        $expr: {
+            $or: [
+                isLow('$stock'),
+                {
+                    $gt: [{
+                        $size: {
+                            $filter: {
+                                input: { $ifNull: ['$variants', []] },
+                                cond: isLow('$$this.stock'),
+                            }
+                        }
+                    }, 0]
+                },
+            ]
+        }
+    })
+        .populate('main_category_id')
+        .populate('sub_category_id')
+        .populate('brand_id');
+    const pricing = await getPricing();
+    return items.map(item => present(item, pricing));
+}
+
+module.exports = {
+    record_movement,
+    movements,
+    low_stock,
+};
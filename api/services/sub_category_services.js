@@ -1,8 +1,10 @@
 const SubCategoryModel = require('../models/sub_category_model');
+const AuditServices = require('./audit_services');
 
-const create = async (name, description, main_category_id) => {
+const create = async (name, description, main_category_id, actor) => {
     const subCategory = new SubCategoryModel({name: name, description: description, main_category_id});
     await subCategory.save();
+    await AuditServices.record(actor, 'sub_category', null, subCategory);
     return subCategory;
 }
 
@@ -15,19 +17,22 @@ const index = async (main_category_id) => {
     return SubCategoryModel.find(filter).populate("main_category_id");
 }
 
-const remove = async (id) => {
+const remove = async (id, actor) => {
     const subCategory = await SubCategoryModel.findByIdAndDelete(id);
     if (!subCategory) throw new Error("SubCategory not found");
+    await AuditServices.record(actor, 'sub_category', subCategory, null);
     return subCategory;
 }
 
-const update = async (id, name, description, main_category_id) => {
+const update = async (id, name, description, main_category_id, actor) => {
+    const before = await SubCategoryModel.findById(id);
     const subCategory = await SubCategoryModel.findByIdAndUpdate(id, {
         name,
         description,
         main_category_id
     }, {new: true});
     if (!subCategory) throw new Error("SubCategory not found");
+    await AuditServices.record(actor, 'sub_category', before, subCategory);
     return subCategory;
 }
 
@@ -0,0 +1,112 @@
+const UserModel = require('../models/user_model');
+const crypto = require('crypto');
+const {generateSecret, verifyCode, otpauthUri} = require('../helpers/totp_helpers');
+const {getPermissions} = require('../helpers/role_helpers');
+const AuditServices = require('./audit_services');
+
+const ISSUER = process.env.TOTP_ISSUER || 'Abo Mariam Vape Store';
+const RECOVERY_CODES_COUNT = 10;
+
+const hashCode = (code) => {
+    return crypto.createHash('sha256').update(String(code).trim().toLowerCase()).digest('hex');
+}
+
+const generateRecoveryCodes = () => {
+    const codes = [];
+    for (let i = 0; i < RECOVERY_CODES_COUNT; i++) {
+        const raw = crypto.randomBytes(5).toString('hex');
+        codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+    }
+    return codes;
+}
+
+const findUser = async (user_id) => {
+    const user = await UserModel.findById(user_id);
+    if (!user) throw new Error("User does not exist");
+    return user;
+}
+
+// accepts either a current TOTP code or one of the unused recovery codes, which is then burned
+const verify = async (user, code, recovery_code) => {
+    const twoFactor = user.two_factor;
+
+    if (code) {
+        const step = verifyCode(twoFactor.secret, code);
+        if (step === null || step <= twoFactor.last_used_step) return false;
+        twoFactor.last_used_step = step;
+        await user.save();
+        return true;
+    }
+
+    if (recovery_code) {
+        const index = twoFactor.recovery_codes.indexOf(hashCode(recovery_code));
+        if (index === -1) return false;
+        twoFactor.recovery_codes.splice(index, 1);
+        await user.save();
+        return true;
+    }
+
+    return false;
+}
+
+const setup = async (user_id) => {
+    const user = await findUser(user_id);
+    if (!getPermissions(user.role, user.permissions).length)
+        throw new Error("Two-factor authentication is only available for admin accounts");
+    if (user.two_factor.enabled)
+        throw new Error("Two-factor authentication is already enabled");
+
+    const secret = generateSecret();
+    user.two_factor.pending_secret = secret;
+    await user.save();
+
+    return {secret, otpauth_uri: otpauthUri(secret, user.user_name, ISSUER)};
+}
+
+const enable = async (user_id, code, actor) => {
+    const user = await findUser(user_id);
+    if (user.two_factor.enabled)
+        throw new Error("Two-factor authentication is already enabled");
+    if (!user.two_factor.pending_secret)
+        throw new Error("Two-factor setup has not been started");
+
+    const step = verifyCode(user.two_factor.pending_secret, code);
+    if (step === null) throw new Error("Invalid two-factor code");
+
+    const before = AuditServices.snapshot(user);
+    const recovery_codes = generateRecoveryCodes();
+    user.two_factor.secret = user.two_factor.pending_secret;
+    user.two_factor.pending_secret = undefined;
+    user.two_factor.enabled = true;
+    user.two_factor.last_used_step = step;
+    user.two_factor.recovery_codes = recovery_codes.map(hashCode);
+    await user.save();
+    await AuditServices.record(actor, 'user', before, user);
+
+    // the only time the plain recovery codes are shown
+    return {recovery_codes};
+}
+
+const disable = async (user_id, password, code, recovery_code, actor) => {
+    const user = await findUser(user_id);
+    if (!user.two_factor.enabled)
+        throw new Error("Two-factor authentication is not enabled");
+
+    const isMatch = await user.comparePassword(password || '');
+    if (!isMatch) throw new Error("Invalid credentials");
+    if (!await verify(user, code, recovery_code))
+        throw new Error("Invalid two-factor code");
+
+    const before = AuditServices.snapshot(user);
+    user.two_factor = {};
+    await user.save();
+    await AuditServices.record(actor, 'user', before, user);
+    return user;
+}
+
+module.exports = {
+    setup,
+    enable,
+    disable,
+    verify,
+};
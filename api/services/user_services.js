@@ -1,61 +1,316 @@
 const UserModel = require('../models/user_model');
+const RefreshTokenModel = require('../models/refresh_token_model');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const LoginAttemptServices = require('./login_attempt_services');
+const TwoFactorServices = require('./two_factor_services');
+const AuditServices = require('./audit_services');
+const {canManageRole, canGrantPermissions} = require('../helpers/role_helpers');
 
+const TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_EXPIRES_DAYS = Number(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+const TWO_FACTOR_TOKEN_EXPIRES_IN = '5m';
+const RESET_TOKEN_EXPIRES_HOURS = Number(process.env.RESET_TOKEN_EXPIRES_HOURS) || 24;
+
+// compared against when the user does not exist, so both failures take as long
+const DUMMY_HASH = bcrypt.hashSync('dummy-password', 10);
+
+const hashToken = (token) => {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+const issueTokens = async (user) => {
+    const token = jwt.sign(
+        {id: user._id, user_name: user.user_name, role: user.role, permissions: user.permissions},
+        process.env.SECRET,
+        {expiresIn: TOKEN_EXPIRES_IN},
+    );
+
+    const refresh_token = crypto.randomBytes(48).toString('hex');
+    await RefreshTokenModel.create({
+        user_id: user._id,
+        token_hash: hashToken(refresh_token),
+        expires_at: new Date(Date.now() + REFRESH_TOKEN_EXPIRES_DAYS * 24 * 60 * 60 * 1000),
+    });
+
+    return {token, refresh_token};
+}
+
+const revokeSessions = async (user_id) => {
+    await RefreshTokenModel.updateMany(
+        {user_id, revoked_at: null},
+        {revoked_at: new Date()}
+    );
+}
 
 const index = async () => {
     return UserModel.find();
 }
 
-const login = async (user_name, password) => {
+const login = async (user_name, password, ip) => {
+    const keys = [LoginAttemptServices.userKey(user_name), LoginAttemptServices.ipKey(ip)];
+    await LoginAttemptServices.assertNotLocked(keys);
 
     const user = await UserModel.findOne({user_name});
-    if (!user) {
-        throw new Error('User does not exist');
+    const isMatch = user
+        ? await user.comparePassword(password)
+        : await bcrypt.compare(String(password), DUMMY_HASH) && false;
+
+    if (!isMatch) {
+        await LoginAttemptServices.registerFailure(keys);
+        throw new Error('Invalid credentials');
     }
 
-    const isMatch = await user.comparePassword(password);
+    // only the account counter is cleared, the ip keeps counting failures on other accounts
+    await LoginAttemptServices.reset([LoginAttemptServices.userKey(user_name)]);
+
+    // the password was right, the real tokens wait for the second step
+    if (user.two_factor.enabled) {
+        const two_factor_token = jwt.sign(
+            {id: user._id, purpose: 'two_factor'},
+            process.env.SECRET,
+            {expiresIn: TWO_FACTOR_TOKEN_EXPIRES_IN},
+        );
+        return {two_factor_required: true, two_factor_token};
+    }
+
+    const {token, refresh_token} = await issueTokens(user);
+    return {token, refresh_token, user};
+}
+
+const loginTwoFactor = async (two_factor_token, code, recovery_code, ip) => {
+    let payload;
+    try {
+        payload = jwt.verify(two_factor_token || '', process.env.SECRET);
+    } catch (err) {
+        throw new Error('Invalid two-factor token');
+    }
+    if (payload.purpose !== 'two_factor') throw new Error('Invalid two-factor token');
+
+    const user = await UserModel.findById(payload.id);
+    if (!user || !user.two_factor.enabled) throw new Error('Invalid two-factor token');
+
+    const keys = [LoginAttemptServices.userKey(user.user_name), LoginAttemptServices.ipKey(ip)];
+    await LoginAttemptServices.assertNotLocked(keys);
+
+    if (!await TwoFactorServices.verify(user, code, recovery_code)) {
+        await LoginAttemptServices.registerFailure(keys);
+        throw new Error('Invalid two-factor code');
+    }
+
+    await LoginAttemptServices.reset([LoginAttemptServices.userKey(user.user_name)]);
+    const {token, refresh_token} = await issueTokens(user);
+    return {token, refresh_token, user};
+}
+
+const refresh = async (refresh_token) => {
+    if (!refresh_token) throw new Error('Invalid refresh token');
+
+    const stored = await RefreshTokenModel.findOne({token_hash: hashToken(refresh_token)});
+    if (!stored || stored.expires_at < new Date())
+        throw new Error('Invalid refresh token');
+
+    // a revoked token being replayed means it leaked, so kill every session of that user
+    if (stored.revoked_at) {
+        await revokeSessions(stored.user_id);
+        throw new Error('Invalid refresh token');
+    }
+
+    const user = await UserModel.findById(stored.user_id);
+    if (!user) throw new Error('Invalid refresh token');
+
+    stored.revoked_at = new Date();
+    await stored.save();
+
+    const tokens = await issueTokens(user);
+    return {...tokens, user};
+}
+
+const logout = async (refresh_token) => {
+    if (!refresh_token) throw new Error('Invalid refresh token');
+
+    const stored = await RefreshTokenModel.findOne({token_hash: hashToken(refresh_token)});
+    if (!stored) throw new Error('Invalid refresh token');
+
+    if (!stored.revoked_at) {
+        stored.revoked_at = new Date();
+        await stored.save();
+    }
+    return stored;
+}
+
+const changePassword = async (id, current_password, new_password, actor) => {
+    const user = await UserModel.findById(id);
+    if (!user) throw new Error("User does not exist");
+
+    // counted on the same lock as the login, a stolen access token can't be used to guess the password
+    const keys = [LoginAttemptServices.userKey(user.user_name)];
+    await LoginAttemptServices.assertNotLocked(keys);
+    const isMatch = await user.comparePassword(current_password || '');
     if (!isMatch) {
+        await LoginAttemptServices.registerFailure(keys);
         throw new Error('Invalid credentials');
     }
-    const token = jwt.sign(
-        {id: user._id, user_name: user.user_name, role: user.role},
-        process.env.SECRET,
-    );
-    return {token, user};
+    await LoginAttemptServices.reset(keys);
+    if (!new_password) throw new Error('New password is required');
+
+    const before = AuditServices.snapshot(user);
+    user.password = new_password;
+    await user.save();
+    await AuditServices.record(actor, 'user', before, user);
+
+    // every other device has to log in again, the caller gets a fresh pair
+    await revokeSessions(user._id);
+    const {token, refresh_token} = await issueTokens(user);
+    return {token, refresh_token, user};
+}
+
+const createResetToken = async (id, actor) => {
+    const user = await UserModel.findById(id);
+    if (!user) throw new Error("User does not exist");
+
+    // your own password goes through /me/password, which checks the current one
+    if (String(user._id) === String(actor.id))
+        throw new Error('Cannot create a reset token for yourself');
+    if (!canManageRole(actor.role, user.role))
+        throw new Error('Not allowed to manage this role');
+
+    const before = AuditServices.snapshot(user);
+    const reset_token = crypto.randomBytes(32).toString('hex');
+    const expires_at = new Date(Date.now() + RESET_TOKEN_EXPIRES_HOURS * 60 * 60 * 1000);
+    user.password_reset = {token_hash: hashToken(reset_token), expires_at};
+    await user.save();
+    await AuditServices.record(actor, 'user', before, user);
+
+    return {reset_token, expires_at};
 }
 
-const create = async (user_name, password, role) => {
+const redeemResetToken = async (reset_token, new_password, actor) => {
+    if (!reset_token) throw new Error('Invalid reset token');
+
+    const user = await UserModel.findOne({
+        'password_reset.token_hash': hashToken(reset_token),
+        'password_reset.expires_at': {$gt: new Date()},
+    });
+    if (!user) throw new Error('Invalid reset token');
+    if (!new_password) throw new Error('New password is required');
+
+    const before = AuditServices.snapshot(user);
+    user.password = new_password;
+    user.password_reset = undefined;
+    await user.save();
+    // nobody is logged in here, the change is attributed to the user redeeming the token
+    await AuditServices.record({...actor, id: user._id, user_name: user.user_name}, 'user', before, user);
+
+    await revokeSessions(user._id);
+    await LoginAttemptServices.reset([LoginAttemptServices.userKey(user.user_name)]);
+    return user;
+}
+
+const unlock = async (id, actor) => {
+    const user = await UserModel.findById(id);
+    if (!user) throw new Error("User does not exist");
+
+    await LoginAttemptServices.reset([LoginAttemptServices.userKey(user.user_name)]);
+    // the lock lives outside the user document, so the entry is written by hand
+    await AuditServices.record(actor, 'user', {_id: user._id, locked: true}, {_id: user._id, locked: false});
+    return user;
+}
+
+const create = async (user_name, password, role = 'viewer', permissions = [], actor) => {
+    if (!canManageRole(actor.role, role) || !canGrantPermissions(actor, permissions)) {
+        throw new Error('Not allowed to manage this role');
+    }
+
     const userExists = await UserModel.findOne({user_name});
     if (userExists) {
         throw new Error('User already exists');
     }
 
-    const user = new UserModel({user_name, password, role});
+    const user = new UserModel({user_name, password, role, permissions});
     await user.save();
+    await AuditServices.record(actor, 'user', null, user);
     return user;
 }
 
-const remove = async (id) => {
-    const user = await UserModel.findByIdAndDelete(id);
+// only usable while the users collection is empty, to create the very first owner
+const bootstrap = async (user_name, password, actor) => {
+    const count = await UserModel.countDocuments();
+    if (count > 0) {
+        throw new Error('Users already exist');
+    }
+
+    const user = new UserModel({user_name, password, role: 'owner'});
+    await user.save();
+    await AuditServices.record({...actor, id: user._id, user_name: user.user_name}, 'user', null, user);
     return user;
 }
 
-const update = async (id, password, role) => {
+const ensureAnotherOwner = async (user) => {
+    if (user.role !== 'owner') return;
+    const owners = await UserModel.countDocuments({role: 'owner', _id: {$ne: user._id}});
+    if (!owners) throw new Error('Cannot remove the last owner');
+}
+
+const remove = async (id, actor) => {
+    const user = await UserModel.findById(id);
+    if (!user) return null;
+
+    if (!canManageRole(actor.role, user.role)) throw new Error('Not allowed to manage this role');
+    await ensureAnotherOwner(user);
+
+    await user.deleteOne();
+    await RefreshTokenModel.deleteMany({user_id: user._id});
+    await AuditServices.record(actor, 'user', user, null);
+    return user;
+}
+
+const update = async (id, password, role, permissions, actor) => {
     const user = await UserModel.findById(id);
     if(!user) throw new Error("User does not exist");
 
+    const isSelf = String(user._id) === String(actor.id);
+    if (!isSelf && !canManageRole(actor.role, user.role))
+        throw new Error('Not allowed to manage this role');
+    if (isSelf && password)
+        throw new Error('Use /user/me/password to change your own password');
+
+    const before = AuditServices.snapshot(user);
+    if (role && role !== user.role) {
+        if (!canManageRole(actor.role, role))
+            throw new Error('Not allowed to manage this role');
+        await ensureAnotherOwner(user);
+        user.role = role;
+    }
+    if (permissions) {
+        if (!canGrantPermissions(actor, permissions))
+            throw new Error('Not allowed to manage this role');
+        user.permissions = permissions;
+    }
     if (password) user.password = password;
-    if (role) user.role = role;
 
+    const credentialsChanged = user.isModified('password') || user.isModified('role') || user.isModified('permissions');
     await user.save();
+    await AuditServices.record(actor, 'user', before, user);
+
+    if (credentialsChanged) await revokeSessions(user._id);
 
     return user;
 }
 
 module.exports = {
     create,
+    bootstrap,
     index,
     login,
+    loginTwoFactor,
+    refresh,
+    logout,
     remove,
     update,
+    unlock,
+    changePassword,
+    createResetToken,
+    redeemResetToken,
 };
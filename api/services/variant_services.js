@@ -0,0 +1,147 @@
+const ItemModel = require("../models/item_model");
+const { saveFileToCloudinary, deleteFileFromCloudinary } = require("../helpers/file_helpers");
+const AuditServices = require("./audit_services");
+const { parseJson } = require("../helpers/json_helpers");
+
+const findItem = async (item_id) => {
+    const item = await ItemModel.findById(item_id);
+    if (!item) throw new Error("Item not found");
+    return item;
+}
+
+const findVariant = (item, variant_id) => {
+    const variant = item.variants.id(variant_id);
+    if (!variant) throw new Error("Variant not found");
+    return variant;
+}
+
+const optionsKey = (options) => {
+    return JSON.stringify(Object.keys(options).sort().map(name => [name, options[name]]));
+}
+
+// a variant needs one allowed value for every axis of the item, and no two variants may share a combination
+const validateVariant = (item, options, variant_id) => {
+    const axes = item.options || [];
+    const names = Object.keys(options || {});
+
+    if (names.length !== axes.length || names.some(name => !axes.find(axis => axis.name === name)))
+        throw new Error("Variant options do not match the item options");
+
+    for (const axis of axes) {
+        if (!axis.values.includes(String(options[axis.name])))
+            throw new Error(`Invalid value for option ${axis.name}`);
+    }
+
+    const key = optionsKey(options);
+    const duplicate = item.variants.find(variant =>
+        String(variant._id) !== String(variant_id) && optionsKey(Object.fromEntries(variant.options || [])) === key
+    );
+    if (duplicate) throw new Error("A variant with these options already exists");
+}
+
+const validateSku = async (sku, variant_id) => {
+    if (!sku) return;
+    const match = variant_id ? { sku, _id: { $ne: variant_id } } : { sku };
+    const taken = await ItemModel.exists({ variants: { $elemMatch: match } });
+    if (taken) throw new Error("SKU already exists");
+}
+
+const uploadImages = async (images = []) => {
+    const urls = [];
+    for (const image of images) {
+        const { url } = await saveFileToCloudinary(image.buffer);
+        urls.push(url);
+    }
+    return urls;
+}
+
+// replaces the option axes, the existing variants have to fit the new ones
+const set_options = async (item_id, options, actor) => {
+    const item = await findItem(item_id);
+    const before = AuditServices.snapshot(item);
+
+    const axes = parseJson(options, "Invalid variant options") || [];
+    if (!Array.isArray(axes) || axes.some(axis => !axis.name || !Array.isArray(axis.values) || !axis.values.length))
+        throw new Error("Invalid variant options");
+    if (new Set(axes.map(axis => axis.name)).size !== axes.length)
+        throw new Error("Invalid variant options");
+
+    item.options = axes.map(axis => ({ name: axis.name, values: axis.values.map(String) }));
+    for (const variant of item.variants) {
+        validateVariant(item, Object.fromEntries(variant.options || []), variant._id);
+    }
+
+    await item.save();
+    await AuditServices.record(actor, 'item', before, item);
+    return item;
+}
+
+const add_variant = async (item_id, options, price, discount, sku, is_available, images, discount_type, actor) => {
+    const item = await findItem(item_id);
+    const before = AuditServices.snapshot(item);
+
+    const variantOptions = parseJson(options, "Invalid variant options") || {};
+    validateVariant(item, variantOptions);
+    await validateSku(sku);
+
+    item.variants.push({
+        options: variantOptions,
+        price,
+        discount,
+        discount_type,
+        sku,
+        is_available: is_available !== undefined ? is_available : true,
+        images: await uploadImages(images),
+    });
+
+    await item.save();
+    await AuditServices.record(actor, 'item', before, item);
+    return item;
+}
+
+const update_variant = async (item_id, variant_id, options, price, discount, sku, is_available, images, discount_type, actor) => {
+    const item = await findItem(item_id);
+    const variant = findVariant(item, variant_id);
+    const before = AuditServices.snapshot(item);
+
+    if (options !== undefined) {
+        const variantOptions = parseJson(options, "Invalid variant options");
+        validateVariant(item, variantOptions, variant._id);
+        variant.options = variantOptions;
+    }
+    if (sku !== undefined) {
+        await validateSku(sku, variant._id);
+        variant.sku = sku;
+    }
+    if (price !== undefined) variant.price = price;
+    if (discount !== undefined) variant.discount = discount;
+    if (discount_type !== undefined) variant.discount_type = discount_type;
+    if (is_available !== undefined) variant.is_available = is_available;
+    variant.images.push(...await uploadImages(images));
+
+    await item.save();
+    await AuditServices.record(actor, 'item', before, item);
+    return item;
+}
+
+const remove_variant = async (item_id, variant_id, actor) => {
+    const item = await findItem(item_id);
+    const variant = findVariant(item, variant_id);
+    const before = AuditServices.snapshot(item);
+
+    for (const image of variant.images) {
+        await deleteFileFromCloudinary(image);
+    }
+    variant.deleteOne();
+
+    await item.save();
+    await AuditServices.record(actor, 'item', before, item);
+    return item;
+}
+
+module.exports = {
+    set_options,
+    add_variant,
+    update_variant,
+    remove_variant,
+};
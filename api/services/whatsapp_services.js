@@ -0,0 +1,75 @@
+const SettingsModel = require("../models/settings_model");
+const OrderModel = require("../models/order_model");
+const CartServices = require("./cart_services");
+const { formatMessage, waLink } = require("../helpers/whatsapp_helpers");
+const { normalizePhone } = require("../helpers/phone_helpers");
+
+const configuredAccounts = async () => {
+    const settings = await SettingsModel.findOne();
+    const accounts = (settings && settings.social_media.whatsapp) || [];
+    return accounts.filter(account => waLink(account.phone_number, ''));
+}
+
+// round robin over the accounts, the counter is shared by every hand-off
+const nextIndex = async () => {
+    const settings = await SettingsModel.findOneAndUpdate({}, { $inc: { whatsapp_rotation: 1 } });
+    return settings ? settings.whatsapp_rotation || 0 : 0;
+}
+
+// the account `doc` (a cart or an order) was handed to, or the next one of the round robin which
+// is then remembered on it. this way the counter moves once per cart or order and not per request
+const pinnedIndex = async (doc, accounts) => {
+    const pinned = accounts.findIndex(account => account.phone_number === doc.whatsapp_phone);
+    if (pinned !== -1) return pinned;
+
+    const index = (await nextIndex()) % accounts.length;
+    doc.whatsapp_phone = accounts[index].phone_number;
+    await doc.save();
+    return index;
+}
+
+// the links of all accounts starting with the one the customer should use
+const handoff = (summary, accounts, first) => {
+    const message = formatMessage(summary);
+    const links = accounts.map((_, i) => accounts[(first + i) % accounts.length]).map(account => ({
+        name: account.name,
+        phone_number: account.phone_number,
+        link: waLink(account.phone_number, message),
+    }));
+    return { reference: summary.reference, message, primary: links[0], links };
+}
+
+const cart_handoff = async (token) => {
+    const cart = await CartServices.findCart(token);
+    if (!cart.lines.length) throw new Error("Cart is empty");
+    const accounts = await configuredAccounts();
+    if (!accounts.length) throw new Error("No WhatsApp accounts configured");
+
+    const priced = await CartServices.resolveLines(cart.lines, undefined, await CartServices.cartZone(cart), await CartServices.cartCoupon(cart));
+    const summary = {
+        ...priced,
+        lines: priced.lines.filter(line => !line.unavailable),
+        reference: `C-${String(cart._id).slice(-6).toUpperCase()}`,
+    };
+    if (!summary.lines.length) throw new Error("Some items are not available");
+    return handoff(summary, accounts, await pinnedIndex(cart, accounts));
+}
+
+// an order sticks to the account it, or the cart it came from, was first handed to, as long as
+// that account is still there. the customer's phone is asked for so a reference alone does not
+// reveal the order
+const order_handoff = async (reference, phone) => {
+    const order = reference && normalizePhone(phone)
+        ? await OrderModel.findOne({ reference: String(reference).trim().toUpperCase(), 'customer.phone': normalizePhone(phone) })
+        : null;
+    if (!order) throw new Error("Order not found");
+    const accounts = await configuredAccounts();
+    if (!accounts.length) throw new Error("No WhatsApp accounts configured");
+
+    return handoff({ ...order.toObject(), is_order: true }, accounts, await pinnedIndex(order, accounts));
+}
+
+module.exports = {
+    cart_handoff,
+    order_handoff,
+};
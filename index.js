@@ -14,6 +14,9 @@ const router = require('./api/routes/index');
 
 const app = express();
 
+// behind the vercel/render proxy, needed for req.ip to be the client address
+app.set('trust proxy', 1);
+
 app.use(cors());
 app.use(bodyParser.urlencoded({ extended: false }));
 app.use(bodyParser.json());